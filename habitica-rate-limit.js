@@ -0,0 +1,154 @@
+// Habitica 上游速率限制：依回應標頭追蹤每個用戶的剩餘額度，額度用盡時延後請求，並對 429 / 5xx 退避重試
+
+// 預設重試次數與退避基準時間
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 60 * 1000;
+
+// 5xx 只重試冪等請求，避免重複評分或購買
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// 每個 Habitica 用戶的額度：{ limit, remaining, resetAt, updatedAt }
+const budgets = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseNumber(value) {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : undefined;
+}
+
+// X-RateLimit-Reset 為日期字串，也接受毫秒時間戳
+function parseResetTime(value) {
+  if (!value) return undefined;
+  const number = parseNumber(value);
+  if (number !== undefined) return number;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : date;
+}
+
+// Retry-After 可以是秒數或 HTTP 日期
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = parseNumber(value);
+  if (seconds !== undefined) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function updateBudget(key, headers = {}) {
+  const limit = parseNumber(headers['x-ratelimit-limit']);
+  const remaining = parseNumber(headers['x-ratelimit-remaining']);
+  if (remaining === undefined) return;
+
+  const budget = budgets.get(key) || {};
+  budget.limit = limit ?? budget.limit;
+  budget.remaining = remaining;
+  budget.resetAt = parseResetTime(headers['x-ratelimit-reset']) ?? budget.resetAt;
+  budget.updatedAt = Date.now();
+  budgets.set(key, budget);
+}
+
+// 額度用盡時等到重置時間，並預先扣除本次請求的額度，讓並發請求依序排隊
+async function reserveBudget(key, maxDelay) {
+  for (;;) {
+    const budget = budgets.get(key);
+    if (!budget) return;
+
+    const now = Date.now();
+    if (budget.resetAt !== undefined && budget.resetAt <= now) {
+      // 不知道上限時無法推算重置後的額度，捨棄舊額度，等下一次回應標頭再更新
+      if (budget.limit === undefined) {
+        budgets.delete(key);
+        return;
+      }
+      budget.remaining = budget.limit;
+      budget.resetAt = undefined;
+    }
+    if (budget.remaining > 0 || budget.resetAt === undefined) {
+      budget.remaining -= 1;
+      return;
+    }
+    await sleep(Math.max(0, Math.min(budget.resetAt - now, maxDelay)));
+  }
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status === 429) return true;
+  return status >= 500 && IDEMPOTENT_METHODS.includes((error.config?.method || 'get').toLowerCase());
+}
+
+// 指數退避加隨機抖動；429 優先使用 Retry-After
+function getRetryDelay(error, attempt, baseDelay, maxDelay) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== undefined) {
+    return Math.min(retryAfter, maxDelay);
+  }
+  const backoff = baseDelay * 2 ** (attempt - 1);
+  return Math.min(backoff / 2 + Math.random() * backoff / 2, maxDelay);
+}
+
+// 為 axios 客戶端加上速率限制攔截器，key 通常為 Habitica 用戶 ID
+export function attachRateLimiter(client, key, {
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelay = DEFAULT_BASE_DELAY,
+  maxDelay = DEFAULT_MAX_DELAY,
+} = {}) {
+  client.interceptors.request.use(async (config) => {
+    await reserveBudget(key, maxDelay);
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      updateBudget(key, response.headers);
+      return response;
+    },
+    async (error) => {
+      if (error.response) {
+        updateBudget(key, error.response.headers);
+      }
+
+      const config = error.config;
+      if (!config || !isRetryable(error)) {
+        throw error;
+      }
+
+      config.retryCount = (config.retryCount || 0) + 1;
+      if (config.retryCount > maxRetries) {
+        throw error;
+      }
+
+      await sleep(getRetryDelay(error, config.retryCount, baseDelay, maxDelay));
+      return client.request(config);
+    }
+  );
+
+  return client;
+}
+
+// 取得某用戶最近一次得知的額度
+export function getRateLimitBudget(key) {
+  const budget = budgets.get(key);
+  if (!budget) return undefined;
+
+  const { limit, remaining, resetAt } = budget;
+  return {
+    limit,
+    remaining: Math.max(0, remaining),
+    resetAt: resetAt !== undefined ? new Date(resetAt).toISOString() : undefined,
+  };
+}
+
+// 健康檢查用的摘要（不含用戶 ID）
+export function getRateLimitSummary() {
+  const tracked = [...budgets.keys()].map(getRateLimitBudget);
+  const exhausted = tracked.filter(budget => budget.remaining === 0);
+
+  return {
+    trackedUsers: tracked.length,
+    lowestRemaining: tracked.length > 0 ? Math.min(...tracked.map(budget => budget.remaining)) : null,
+    exhaustedUsers: exhausted.length,
+  };
+}
@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
-import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
+  CallToolRequestSchema,
   ErrorCode,
+  ListToolsRequestSchema,
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 import axios from 'axios';
@@ -11,20 +13,46 @@ import { z } from 'zod';
 import express from 'express';
 import cors from 'cors';
 import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
 import { setLanguage, t } from './i18n.js';
+import { createSessionManager } from './session-manager.js';
+import { outputProperties, describeFields, renderList, renderRecord } from './output.js';
+import { createJsonStore, getDataDir, getUserDir } from './store.js';
+import { attachRateLimiter, getRateLimitBudget, getRateLimitSummary } from './habitica-rate-limit.js';
+import { createUserCache, getCredentialKey } from './user-cache.js';
+import { createSnapshotStore } from './snapshot-store.js';
 
-// Habitica API 基础配置
-const HABITICA_API_BASE = 'https://habitica.com/api/v3';
+// Habitica API 基础配置，可透過 HABITICA_API_BASE 指向自建實例或測試用的替身服務
+const HABITICA_API_BASE = process.env.HABITICA_API_BASE || 'https://habitica.com/api/v3';
+
+// 預設 Habitica 憑證（當 MCP 會話未提供憑證時使用）
+const HABITICA_USER_ID = process.env.HABITICA_USER_ID;
+const HABITICA_API_TOKEN = process.env.HABITICA_API_TOKEN;
 
 // 驗證相關環境變數（僅用於 MCP 服務器安全設置）
 const MCP_API_KEY = process.env.MCP_API_KEY; // MCP 服務器的 API 密鑰
 const ALLOWED_IPS = process.env.ALLOWED_IPS ? process.env.ALLOWED_IPS.split(',').map(ip => ip.trim()) : []; // IP 白名單
 const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX) || 100; // 每小時的請求数量限制
 const REQUIRE_AUTHENTICATION = process.env.REQUIRE_AUTHENTICATION !== 'false'; // 是否強制驗證
+const SESSION_IDLE_TIMEOUT = (parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30) * 60 * 1000; // MCP 會話閒置逾時
+const TASK_DEPENDENCY_MODE = process.env.TASK_DEPENDENCY_MODE === 'block' ? 'block' : 'warn'; // 完成仍被阻擋的待辦時警告或拒絕
+const REQUIRE_CONFIRMATION = process.env.MCP_REQUIRE_CONFIRMATION !== 'false'; // 花費與刪除類工具預設先預覽，確認後才執行
+const HABITICA_MAX_RETRIES = parseInt(process.env.HABITICA_MAX_RETRIES) >= 0 ? parseInt(process.env.HABITICA_MAX_RETRIES) : 3; // Habitica 回應 429 / 5xx 時的重試次數
+const HABITICA_RETRY_BASE_DELAY = parseInt(process.env.HABITICA_RETRY_BASE_DELAY_MS) || 1000; // 重試退避的基準時間（毫秒）
+const LOW_RATE_LIMIT_REMAINING = 5; // Habitica 剩餘額度低於此值時在工具回應中提示
+const USER_CACHE_TTL = (parseInt(process.env.USER_CACHE_TTL_SECONDS) >= 0 ? parseInt(process.env.USER_CACHE_TTL_SECONDS) : 30) * 1000; // /user 文件快取時間，0 表示停用
+const SNAPSHOT_INTERVAL = (parseFloat(process.env.SNAPSHOT_INTERVAL_MINUTES) >= 0 ? parseFloat(process.env.SNAPSHOT_INTERVAL_MINUTES) : 360) * 60 * 1000; // 定時快照間隔，0 表示停用
+const SNAPSHOT_RETENTION_DAYS = parseInt(process.env.SNAPSHOT_RETENTION_DAYS) >= 0 ? parseInt(process.env.SNAPSHOT_RETENTION_DAYS) : 90; // 快照保留天數，0 表示永久保留
+const SNAPSHOT_MIN_INTERVAL = (parseFloat(process.env.SNAPSHOT_MIN_INTERVAL_MINUTES) >= 0 ? parseFloat(process.env.SNAPSHOT_MIN_INTERVAL_MINUTES) : 10) * 60 * 1000; // 修改類工具調用後記錄快照的最短間隔，0 表示每次都記錄
+const SNAPSHOT_SESSION_CREDENTIALS = process.env.SNAPSHOT_SESSION_CREDENTIALS === 'true'; // 定時快照是否涵蓋請求標頭傳入的憑證（需在記憶體中保留其 API token）
 
 // Detect language (default EN)
 setLanguage(process.env.MCP_LANG || process.env.LANG || 'en');
 
+// /user 文件快取（依憑證分區）
+const userCache = createUserCache({ ttl: USER_CACHE_TTL });
+
 // 創建 Habitica API 客戶端（支持多用戶）
 function createHabiticaClient(userId, apiToken) {
   if (!userId || !apiToken) {
@@ -35,7 +63,7 @@ function createHabiticaClient(userId, apiToken) {
     );
   }
   
-  return axios.create({
+  const client = axios.create({
     baseURL: HABITICA_API_BASE,
     headers: {
       'x-api-user': userId,
@@ -43,6 +71,40 @@ function createHabiticaClient(userId, apiToken) {
       'Content-Type': 'application/json',
     },
   });
+  
+  // 任何修改請求（評分、購買、餵食、孵化、裝備等）完成後，快取的 /user 文件即失效；失敗的請求也可能已部分生效
+  // client.mutated 供工具調用結束後決定是否記錄快照
+  client.userCacheKey = getCredentialKey(userId, apiToken);
+  const invalidateAfterMutation = (config) => {
+    if (config && (config.method || 'get').toLowerCase() !== 'get') {
+      userCache.invalidate(client.userCacheKey);
+      client.mutated = true;
+    }
+  };
+  client.interceptors.response.use(
+    (response) => {
+      invalidateAfterMutation(response.config);
+      return response;
+    },
+    (error) => {
+      invalidateAfterMutation(error.config);
+      throw error;
+    }
+  );
+  
+  // 同一用戶的多個會話共用 Habitica 的速率限制額度
+  return attachRateLimiter(client, userId, {
+    maxRetries: HABITICA_MAX_RETRIES,
+    baseDelay: HABITICA_RETRY_BASE_DELAY,
+  });
+}
+
+// 讀取 /user 文件（經快取），fields 為需要的路徑，透過 userFields 只請求這些部分；未指定時取得完整文件
+async function getUser(habiticaClient, fields) {
+  return userCache.get(habiticaClient.userCacheKey, fields, async () => {
+    const response = await habiticaClient.get('/user', fields ? { params: { userFields: fields.join(',') } } : undefined);
+    return response.data.data;
+  });
 }
 
 // 速率限制儲存（簡單內存實現）
@@ -156,9 +218,9 @@ function createAuthMiddleware() {
       });
     }
     
-    // 檢查 Habitica 憑證（除了文檔和健康檢查端點）
+    // 檢查 Habitica 憑證（除了文檔和健康檢查端點；已設置環境變數憑證時可省略）
     if (endpoint !== '/' && endpoint !== '/health' && endpoint !== '/tools') {
-      if (!habiticaUser || !habiticaToken) {
+      if ((!habiticaUser || !habiticaToken) && !hasDefaultCredentials()) {
         return res.status(401).json({
           error: '未授權',
           message: '缺少 Habitica 憑證。請在請求標頭中提供 X-Habitica-User 和 X-Habitica-Token。',
@@ -184,60 +246,141 @@ function createAuthMiddleware() {
   };
 }
 
-// 初始化 MCP 服務器
-const mcpServer = new McpServer({
-  name: 'habitica-mcp-server',
-  version: '0.0.5',
-});
+// 是否設置了環境變數憑證
+function hasDefaultCredentials() {
+  return !!(HABITICA_USER_ID && HABITICA_API_TOKEN);
+}
 
-// 取得底層 Server 實例用於高級操作
-const server = mcpServer.server;
+// 解析工具調用使用的憑證：會話綁定的憑證優先，其次為環境變數
+function resolveCredentials(credentials) {
+  if (credentials?.userId && credentials?.apiToken) {
+    return credentials;
+  }
+  if (hasDefaultCredentials()) {
+    return { userId: HABITICA_USER_ID, apiToken: HABITICA_API_TOKEN };
+  }
+  return undefined;
+}
 
 // 工具處理函數的統一入口
 async function handleToolCall(name, args, credentials) {
   // 創建專屬於此用戶的 Habitica 客戶端
   const habiticaClient = createHabiticaClient(credentials?.userId, credentials?.apiToken);
+  if (SNAPSHOT_SESSION_CREDENTIALS) {
+    rememberSnapshotTarget(credentials.userId, credentials.apiToken);
+  }
   
   try {
+    // 本地資料以用戶 ID 分區，先向 Habitica 驗證憑證，避免僅憑他人的用戶 ID 讀寫其資料
+    if (LOCAL_DATA_TOOLS.has(name)) {
+      await getUser(habiticaClient, ['_id']);
+    }
+    
+    // 花費與刪除類工具（見 CONFIRMATION_PREVIEWS）在需要確認時只回傳預覽
+    const preview = await requireConfirmation(habiticaClient, credentials.userId, name, args);
+    if (preview) {
+      return preview;
+    }
+    
     switch (name) {
       case 'get_user_profile':
-        return await getUserProfile(habiticaClient);
+        return await getUserProfile(habiticaClient, args);
       
       case 'get_tasks':
-        return await getTasks(habiticaClient, args.type);
+        return await getTasks(habiticaClient, args.type, args);
+      
+      case 'search_tasks':
+        return await searchTasks(habiticaClient, args);
+      
+      case 'analyze_habits':
+        return await analyzeHabits(habiticaClient, args);
+      
+      case 'generate_report':
+        return await generateReport(habiticaClient, credentials.userId, args);
+      
+      case 'get_stat_history':
+        return await getStatHistory(habiticaClient, credentials.userId, args);
+      
+      case 'export_account':
+        return await exportAccount(habiticaClient, credentials.userId, args);
+      
+      case 'import_tasks':
+        return await importTasks(habiticaClient, credentials.userId, args);
       
       case 'create_task':
         return await createTask(habiticaClient, args);
       
       case 'score_task':
-        return await scoreTask(habiticaClient, args.taskId, args.direction);
+        return await scoreTask(habiticaClient, credentials.userId, args.taskId, args.direction);
       
       case 'update_task':
         return await updateTask(habiticaClient, args.taskId, args);
       
       case 'delete_task':
-        return await deleteTask(habiticaClient, args.taskId);
+        return await deleteTask(habiticaClient, credentials.userId, args.taskId);
+      
+      case 'batch_create_tasks':
+        return await batchCreateTasks(habiticaClient, args.tasks);
+      
+      case 'batch_score_tasks':
+        return await batchScoreTasks(habiticaClient, credentials.userId, args.items);
+      
+      case 'batch_update_tasks':
+        return await batchUpdateTasks(habiticaClient, args.updates);
+      
+      case 'batch_delete_tasks':
+        return await batchDeleteTasks(habiticaClient, credentials.userId, args.taskIds);
+      
+      case 'undo_last_action':
+        return await undoLastAction(habiticaClient, credentials.userId);
+      
+      case 'link_task_dependency':
+        return await linkTaskDependency(habiticaClient, credentials.userId, args.taskId, args.blockedBy);
+      
+      case 'unlink_task_dependency':
+        return await unlinkTaskDependency(habiticaClient, credentials.userId, args.taskId, args.blockedBy);
+      
+      case 'get_blocked_tasks':
+        return await getBlockedTasks(habiticaClient, credentials.userId, args);
+      
+      case 'save_task_template':
+        return await saveTaskTemplate(credentials.userId, args);
+      
+      case 'list_task_templates':
+        return await listTaskTemplates(credentials.userId, args);
+      
+      case 'apply_task_template':
+        return await applyTaskTemplate(habiticaClient, credentials.userId, args.name, args.variables);
+      
+      case 'delete_task_template':
+        return await deleteTaskTemplate(credentials.userId, args.name);
       
       case 'get_stats':
         return await getStats(habiticaClient);
       
       case 'buy_reward':
-        return await buyReward(habiticaClient, args.key);
+        return await buyReward(habiticaClient, credentials.userId, args.key);
       
       case 'get_inventory':
-        return await getInventory(habiticaClient);
+        return await getInventory(habiticaClient, args.category, args);
       
       case 'cast_spell':
         return await castSpell(habiticaClient, args.spellId, args.targetId);
       
       case 'get_tags':
-        return await getTags(habiticaClient);
+        return await getTags(habiticaClient, args);
       
       case 'create_tag':
         return await createTag(habiticaClient, args.name);
       
+      case 'add_tag_to_task':
+        return await addTagToTask(habiticaClient, args.taskId, args.tag, args.createMissingTags);
+      
+      case 'remove_tag_from_task':
+        return await removeTagFromTask(habiticaClient, args.taskId, args.tag);
+      
       case 'get_pets':
-        return await getPets(habiticaClient);
+        return await getPets(habiticaClient, args);
       
       case 'feed_pet':
         return await feedPet(habiticaClient, args.pet, args.food);
@@ -246,22 +389,22 @@ async function handleToolCall(name, args, credentials) {
         return await hatchPet(habiticaClient, args.egg, args.hatchingPotion);
       
       case 'get_mounts':
-        return await getMounts(habiticaClient);
+        return await getMounts(habiticaClient, args);
       
       case 'equip_item':
         return await equipItem(habiticaClient, args.type, args.key);
       
       case 'get_notifications':
-        return await getNotifications(habiticaClient);
+        return await getNotifications(habiticaClient, args);
       
       case 'read_notification':
         return await readNotification(habiticaClient, args.notificationId);
       
       case 'get_shop':
-        return await getShop(habiticaClient, args.shopType);
+        return await getShop(habiticaClient, args.shopType, args);
       
       case 'buy_item':
-        return await buyItem(habiticaClient, args.itemKey, args.quantity);
+        return await buyItem(habiticaClient, credentials.userId, args.itemKey, args.quantity);
       
       case 'get_task_checklist':
         return await getTaskChecklist(habiticaClient, args.taskId);
@@ -273,358 +416,1429 @@ async function handleToolCall(name, args, credentials) {
         return await updateChecklistItem(habiticaClient, args.taskId, args.itemId, args);
       
       case 'delete_checklist_item':
-        return await deleteChecklistItem(habiticaClient, args.taskId, args.itemId);
+        return await deleteChecklistItem(habiticaClient, credentials.userId, args.taskId, args.itemId);
       
       case 'score_checklist_item':
         return await scoreChecklistItem(habiticaClient, args.taskId, args.itemId);
       
+      case 'get_party':
+        return await getParty(habiticaClient);
+      
+      case 'get_party_members':
+        return await getPartyMembers(habiticaClient, args);
+      
+      case 'get_party_chat':
+        return await getGroupChat(habiticaClient, 'party', args);
+      
+      case 'send_party_message':
+        return await postGroupMessage(habiticaClient, 'party', args.message);
+      
+      case 'get_party_quest':
+        return await getPartyQuest(habiticaClient);
+      
+      case 'invite_quest':
+        return await inviteQuest(habiticaClient, args.questKey);
+      
+      case 'accept_quest':
+        return await runQuestAction(habiticaClient, 'accept', t('Quest invitation accepted.', '已接受任务邀请。'));
+      
+      case 'reject_quest':
+        return await runQuestAction(habiticaClient, 'reject', t('Quest invitation rejected.', '已拒绝任务邀请。'));
+      
+      case 'force_start_quest':
+        return await runQuestAction(habiticaClient, 'force-start', t('Quest force-started.', '已强制开始任务。'));
+      
+      case 'cancel_quest':
+        return await cancelQuest(habiticaClient);
+      
+      case 'leave_quest':
+        return await runQuestAction(habiticaClient, 'leave', t('You left the quest.', '已退出任务。'));
+      
+      case 'list_guilds':
+        return await listGuilds(habiticaClient, args);
+      
+      case 'get_guild':
+        return await getGuild(habiticaClient, args.groupId);
+      
+      case 'join_guild':
+        return await joinGuild(habiticaClient, args.groupId);
+      
+      case 'leave_guild':
+        return await leaveGuild(habiticaClient, args.groupId, args.keepChallengeTasks);
+      
+      case 'get_guild_chat':
+        return await getGroupChat(habiticaClient, args.groupId, args);
+      
+      case 'post_guild_message':
+        return await postGroupMessage(habiticaClient, args.groupId, args.message);
+      
+      case 'list_challenges':
+        return await listChallenges(habiticaClient, args);
+      
+      case 'join_challenge':
+        return await joinChallenge(habiticaClient, args.challengeId);
+      
+      case 'leave_challenge':
+        return await leaveChallenge(habiticaClient, args.challengeId, args.keepTasks);
+      
+      case 'get_challenge_tasks':
+        return await getChallengeTasks(habiticaClient, args.challengeId, args);
+      
+      case 'get_challenge_progress':
+        return await getChallengeProgress(habiticaClient, args.challengeId);
+      
+      case 'create_challenge':
+        return await createChallenge(habiticaClient, args);
+      
+      case 'update_challenge':
+        return await updateChallenge(habiticaClient, args.challengeId, args);
+      
+      case 'add_challenge_task':
+        return await addChallengeTask(habiticaClient, args.challengeId, args);
+      
+      case 'select_challenge_winner':
+        return await selectChallengeWinner(habiticaClient, args.challengeId, args.winnerId);
+      
+      case 'export_challenge_csv':
+        return await exportChallengeCsv(habiticaClient, args.challengeId);
+      
+      case 'get_inbox':
+        return await getInbox(habiticaClient, args);
+      
+      case 'send_private_message':
+        return await sendPrivateMessage(habiticaClient, args.toUserId, args.message);
+      
+      case 'delete_private_message':
+        return await deletePrivateMessage(habiticaClient, args.messageId);
+      
+      case 'mark_inbox_read':
+        return await markInboxRead(habiticaClient);
+      
       default:
         throw new McpError(ErrorCode.MethodNotFound, `未知工具: ${name}`);
     }
   } catch (error) {
-    if (error instanceof McpError) {
-      throw error;
+    throw toMcpError(error);
+  } finally {
+    // 修改類工具（即使失敗也可能已部分生效）結束後記錄快照
+    if (habiticaClient.mutated) {
+      await recordSnapshotAfterMutation(habiticaClient, credentials.userId, name);
     }
-    
-    const errorMessage = error.response?.data?.message || error.message || '未知错误';
-    throw new McpError(ErrorCode.InternalError, `Habitica API 错误: ${errorMessage}`);
   }
 }
 
-// 工具定义
-const tools = [
-  {
-    name: 'get_user_profile',
-    description: t('Get user profile', '获取用户档案信息'),
-    inputSchema: {
-      type: 'object',
-      properties: {},
+// 在調用 Habitica 之前就會讀寫本地資料（模板、操作日誌、任務依賴）的工具
+const LOCAL_DATA_TOOLS = new Set([
+  'save_task_template', 'list_task_templates', 'apply_task_template', 'delete_task_template', 'undo_last_action',
+  'unlink_task_dependency', 'get_blocked_tasks',
+]);
+
+// 待確認的操作：token → { fingerprint, expiresAt }
+const pendingConfirmations = new Map();
+const CONFIRMATION_TTL = 10 * 60 * 1000;
+// 即使停用確認（MCP_REQUIRE_CONFIRMATION=false）也一律先預覽的工具
+const ALWAYS_CONFIRM_TOOLS = new Set(['import_tasks']);
+
+// 以用戶、工具名稱與參數（不含確認參數）識別同一個操作
+function getConfirmationFingerprint(userId, name, toolArgs) {
+  return JSON.stringify([userId, name, Object.keys(toolArgs).sort().map(key => [key, toolArgs[key]])]);
+}
+
+// 需要確認時回傳預覽與一次性 token；帶有效 token 的請求則直接放行
+async function requireConfirmation(habiticaClient, userId, name, args) {
+  const buildPreview = CONFIRMATION_PREVIEWS[name];
+  if (!buildPreview) {
+    return undefined;
+  }
+  
+  const { preview, confirmationToken, ...toolArgs } = args;
+  const fingerprint = getConfirmationFingerprint(userId, name, toolArgs);
+  const now = Date.now();
+  
+  for (const [token, pending] of pendingConfirmations.entries()) {
+    if (pending.expiresAt <= now) {
+      pendingConfirmations.delete(token);
+    }
+  }
+  
+  if (confirmationToken !== undefined) {
+    if (pendingConfirmations.get(confirmationToken)?.fingerprint !== fingerprint) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        t('Invalid or expired confirmation token, or the arguments changed since the preview. Call again without confirmationToken for a new preview.',
+          '确认 token 无效或已过期，或参数与预览时不同。请不带 confirmationToken 再次调用以获取新的预览。')
+      );
+    }
+    pendingConfirmations.delete(confirmationToken);
+    return undefined;
+  }
+  
+  if (!REQUIRE_CONFIRMATION && preview !== true && !ALWAYS_CONFIRM_TOOLS.has(name)) {
+    return undefined;
+  }
+  
+  // 預覽為 undefined 表示此次調用沒有花費（如評分一般任務、不設獎勵的挑戰），直接執行
+  const previewText = await buildPreview(habiticaClient, toolArgs, userId);
+  if (previewText === undefined && preview !== true) {
+    return undefined;
+  }
+  
+  const token = crypto.randomUUID();
+  pendingConfirmations.set(token, { fingerprint, expiresAt: now + CONFIRMATION_TTL });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t('Preview only, nothing has been executed yet:', '仅为预览，尚未执行任何操作:'),
+      },
+      {
+        type: 'text',
+        text: previewText ?? t('This call spends no gold, gems or mana', '此调用不花费金币、宝石或法力'),
+      },
+      {
+        type: 'text',
+        text: t(`To proceed, call ${name} again with the same arguments and confirmationToken="${token}" (valid for ${CONFIRMATION_TTL / 60000} minutes).`,
+          `如需执行，请使用相同参数并加上 confirmationToken="${token}" 再次调用 ${name}（${CONFIRMATION_TTL / 60000} 分钟内有效）。`),
+      },
+    ],
+  };
+}
+
+// 在工具回應的 _meta 中附上 Habitica 剩餘額度，額度偏低時另加提示
+function withRateLimitBudget(result, userId) {
+  const budget = userId ? getRateLimitBudget(userId) : undefined;
+  if (!budget) {
+    return result;
+  }
+  
+  const content = [...result.content];
+  if (budget.remaining <= LOW_RATE_LIMIT_REMAINING) {
+    const reset = budget.resetAt ? t(`, resets at ${budget.resetAt}`, `，重置时间 ${budget.resetAt}`) : '';
+    content.push({
+      type: 'text',
+      text: t(`Habitica API budget is low: ${budget.remaining}/${budget.limit ?? '?'} requests left${reset}. Further calls may be delayed.`,
+        `Habitica API 剩余额度较低: ${budget.remaining}/${budget.limit ?? '?'}${reset}。后续调用可能会被延迟。`),
+    });
+  }
+  
+  return {
+    ...result,
+    content,
+    _meta: {
+      ...result._meta,
+      habiticaRateLimit: budget,
+    },
+  };
+}
+
+// 將 axios 等錯誤統一轉為 McpError
+function toMcpError(error) {
+  if (error instanceof McpError) {
+    return error;
+  }
+  
+  const errorMessage = error.response?.data?.message || error.message || '未知错误';
+  return new McpError(ErrorCode.InternalError, `Habitica API 错误: ${errorMessage}`);
+}
+
+// 日常任务重复设置（create_task / update_task 共用）
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HABITICA_WEEKDAY_KEYS = { sun: 'su', mon: 'm', tue: 't', wed: 'w', thu: 'th', fri: 'f', sat: 's' };
+
+const scheduleProperties = {
+  frequency: {
+    type: 'string',
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    description: t('Daily repeat frequency (dailies only)', '日常任务的重复频率 (仅日常)'),
+  },
+  repeat: {
+    type: 'array',
+    items: {
+      type: 'string',
+      enum: WEEKDAYS,
     },
+    description: t('Weekdays the daily is due, e.g. ["mon","wed","fri"] (weekly, or monthly with weeksOfMonth)', '日常任务的到期星期，如 ["mon","wed","fri"] (每周，或配合 weeksOfMonth 的每月)'),
   },
-  {
-    name: 'get_tasks',
-    description: t('Get tasks list', '获取任务列表'),
-    inputSchema: {
-      type: 'object',
-      properties: {
-        type: {
-          type: 'string',
-          enum: ['habits', 'dailys', 'todos', 'rewards'],
-          description: t('Task type', '任务类型'),
-        },
-      },
+  everyX: {
+    type: 'number',
+    description: t('Repeat every X days/weeks/months/years (dailies only)', '每隔 X 天/周/月/年重复 (仅日常)'),
+  },
+  startDate: {
+    type: 'string',
+    description: t('Start date, YYYY-MM-DD or natural language like "next monday" (dailies only)', '开始日期，YYYY-MM-DD 或自然语言如 "next monday"、"下周一" (仅日常)'),
+  },
+  daysOfMonth: {
+    type: 'array',
+    items: {
+      type: 'number',
     },
+    description: t('Days of month the daily is due, e.g. [1, 15] (monthly)', '每月的到期日期，如 [1, 15] (每月)'),
   },
-  {
-    name: 'create_task',
-    description: t('Create new task', '创建新任务'),
-    inputSchema: {
-      type: 'object',
-      properties: {
-        type: {
-          type: 'string',
-          enum: ['habit', 'daily', 'todo', 'reward'],
-          description: t('Task type', '任务类型'),
-        },
-        text: {
-          type: 'string',
-          description: t('Task title', '任务标题'),
-        },
-        notes: {
-          type: 'string',
-          description: t('Task notes', '任务备注'),
-        },
-        difficulty: {
-          type: 'number',
-          enum: [0.1, 1, 1.5, 2],
-          description: t('Difficulty (0.1=easy, 1=medium, 1.5=hard, 2=very hard)', '难度 (0.1=简单, 1=中等, 1.5=困难, 2=极难)'),
-        },
-        priority: {
-          type: 'number',
-          enum: [0.1, 1, 1.5, 2],
-          description: t('Priority (0.1=low, 1=med, 1.5=high, 2=urgent)', '优先级 (0.1=低, 1=中, 1.5=高, 2=极高)'),
-        },
-        checklist: {
-          type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              text: {
-                type: 'string',
-                description: t('Checklist item text', '清单项目文本'),
-              },
-              completed: {
-                type: 'boolean',
-                description: t('Completed status', '完成状态'),
-                default: false,
-              },
-            },
-            required: ['text'],
-          },
-          description: t('Checklist items', '清单项目'),
-        },
-      },
-      required: ['type', 'text'],
+  weeksOfMonth: {
+    type: 'array',
+    items: {
+      type: 'number',
     },
+    description: t('Weeks of month, 0 = first week, e.g. [1] with repeat ["mon"] = second Monday (monthly)', '每月的第几周，0=第一周，如 [1] 配合 repeat ["mon"] 表示每月第二个周一 (每月)'),
   },
-  {
-    name: 'score_task',
-    description: t('Score task / habit', '完成任务或记录习惯'),
-    inputSchema: {
+};
+
+// 截止日期、提醒、标签等任务附加字段（create_task / update_task 共用）
+const taskDetailProperties = {
+  date: {
+    type: 'string',
+    description: t('Due date for todos: YYYY-MM-DD or natural language like "tomorrow", "next friday", "in 3 days"', '待办的截止日期：YYYY-MM-DD 或自然语言如 "明天"、"下周五"、"3天后"'),
+  },
+  reminders: {
+    type: 'array',
+    items: {
       type: 'object',
       properties: {
-        taskId: {
+        time: {
           type: 'string',
-          description: t('Task ID', '任务ID'),
+          description: t('Reminder time, HH:MM (24h)', '提醒时间，HH:MM (24小时制)'),
         },
-        direction: {
+        date: {
           type: 'string',
-          enum: ['up', 'down'],
-          description: t('Direction (up=positive, down=negative, habits only)', '方向 (up=正向, down=负向，仅适用于习惯)'),
+          description: t('Reminder date for todos (defaults to the due date or today)', '待办的提醒日期 (默认为截止日期或今天)'),
         },
       },
-      required: ['taskId'],
+      required: ['time'],
     },
+    description: t('Reminders', '提醒'),
   },
-  {
-    name: 'update_task',
-    description: t('Update task', '更新任务'),
-    inputSchema: {
+  tags: {
+    type: 'array',
+    items: {
+      type: 'string',
+    },
+    description: t('Tag names or IDs (replaces existing tags on update)', '标签名称或ID (更新时会替换现有标签)'),
+  },
+  createMissingTags: {
+    type: 'boolean',
+    description: t('Create tags that do not exist yet (default false)', '自动创建不存在的标签 (默认 false)'),
+    default: false,
+  },
+  alias: {
+    type: 'string',
+    description: t('Task alias usable instead of the ID (letters, digits, - and _)', '可代替ID使用的任务别名 (字母、数字、- 和 _)'),
+  },
+  attribute: {
+    type: 'string',
+    enum: ['str', 'int', 'per', 'con'],
+    description: t('Attribute trained by the task', '任务提升的属性'),
+  },
+};
+
+// 任务输入定义（create_task 与挑战任务共用）
+const taskProperties = {
+  type: {
+    type: 'string',
+    enum: ['habit', 'daily', 'todo', 'reward'],
+    description: t('Task type', '任务类型'),
+  },
+  text: {
+    type: 'string',
+    description: t('Task title', '任务标题'),
+  },
+  notes: {
+    type: 'string',
+    description: t('Task notes', '任务备注'),
+  },
+  difficulty: {
+    type: 'number',
+    enum: [0.1, 1, 1.5, 2],
+    description: t('Difficulty (0.1=easy, 1=medium, 1.5=hard, 2=very hard)', '难度 (0.1=简单, 1=中等, 1.5=困难, 2=极难)'),
+  },
+  priority: {
+    type: 'number',
+    enum: [0.1, 1, 1.5, 2],
+    description: t('Priority (0.1=low, 1=med, 1.5=high, 2=urgent)', '优先级 (0.1=低, 1=中, 1.5=高, 2=极高)'),
+  },
+  checklist: {
+    type: 'array',
+    items: {
       type: 'object',
       properties: {
-        taskId: {
-          type: 'string',
-          description: t('Task ID', '任务ID'),
-        },
         text: {
           type: 'string',
-          description: t('Task title', '任务标题'),
-        },
-        notes: {
-          type: 'string',
-          description: t('Task notes', '任务备注'),
+          description: t('Checklist item text', '清单项目文本'),
         },
         completed: {
           type: 'boolean',
-          description: t('Completed flag', '是否完成'),
+          description: t('Completed status', '完成状态'),
+          default: false,
         },
       },
-      required: ['taskId'],
+      required: ['text'],
     },
+    description: t('Checklist items', '清单项目'),
   },
-  {
-    name: 'delete_task',
-    description: t('Delete task', '删除任务'),
-    inputSchema: {
-      type: 'object',
-      properties: {
-        taskId: {
-          type: 'string',
-          description: t('Task ID', '任务ID'),
-        },
-      },
-      required: ['taskId'],
-    },
+  ...scheduleProperties,
+  ...taskDetailProperties,
+};
+
+// 任务更新定义（update_task 与 batch_update_tasks 共用）
+const taskUpdateProperties = {
+  taskId: {
+    type: 'string',
+    description: t('Task ID', '任务ID'),
   },
-  {
-    name: 'get_stats',
-    description: t('Get user stats', '获取用户统计信息'),
-    inputSchema: {
-      type: 'object',
-      properties: {},
-    },
+  text: {
+    type: 'string',
+    description: t('Task title', '任务标题'),
   },
-  {
-    name: 'buy_reward',
-    description: t('Buy reward', '购买奖励'),
-    inputSchema: {
-      type: 'object',
-      properties: {
-        key: {
-          type: 'string',
-          description: t('Reward key or ID', '奖励的key或ID'),
-        },
-      },
-      required: ['key'],
-    },
+  notes: {
+    type: 'string',
+    description: t('Task notes', '任务备注'),
   },
-  {
-    name: 'get_inventory',
-    description: t('Get inventory', '获取物品清单'),
-    inputSchema: {
-      type: 'object',
-      properties: {},
-    },
+  completed: {
+    type: 'boolean',
+    description: t('Completed flag', '是否完成'),
   },
-  {
-    name: 'cast_spell',
-    description: t('Cast spell', '施放技能'),
-    inputSchema: {
-      type: 'object',
-      properties: {
-        spellId: {
-          type: 'string',
-          description: t('Spell ID', '技能ID'),
-        },
-        targetId: {
-          type: 'string',
-          description: t('Target ID (optional)', '目标ID (可选)'),
-        },
-      },
-      required: ['spellId'],
-    },
+  ...scheduleProperties,
+  ...taskDetailProperties,
+};
+
+const taskLevelSchema = z.union([z.literal(0.1), z.literal(1), z.literal(1.5), z.literal(2)], {
+  errorMap: () => ({ message: 'must be one of 0.1, 1, 1.5, 2' }),
+});
+
+const scheduleShape = {
+  frequency: z.enum(['daily', 'weekly', 'monthly', 'yearly']).optional(),
+  repeat: z.array(z.enum(WEEKDAYS)).min(1).optional(),
+  everyX: z.number().int().min(0).max(9999).optional(),
+  startDate: z.string().trim().min(1).optional(),
+  daysOfMonth: z.array(z.number().int().min(1).max(31)).min(1).optional(),
+  weeksOfMonth: z.array(z.number().int().min(0).max(4)).min(1).optional(),
+};
+
+const SCHEDULE_FIELDS = Object.keys(scheduleShape);
+
+const taskDetailShape = {
+  date: z.string().trim().min(1).optional(),
+  reminders: z.array(z.object({
+    time: z.string().regex(/^([01]?\d|2[0-3]):[0-5]\d$/, 'must be a time in HH:MM format'),
+    date: z.string().trim().min(1).optional(),
+  })).optional(),
+  tags: z.array(z.string().trim().min(1)).optional(),
+  createMissingTags: z.boolean().optional(),
+  alias: z.string().regex(/^[a-zA-Z0-9_-]+$/, 'may only contain letters, digits, - and _').optional(),
+  attribute: z.enum(['str', 'int', 'per', 'con']).optional(),
+};
+
+const TASK_DETAIL_FIELDS = ['date', 'reminders', 'tags', 'alias', 'attribute'];
+
+const taskInputSchema = z.object({
+  type: z.enum(['habit', 'daily', 'todo', 'reward']),
+  text: z.string().trim().min(1),
+  notes: z.string().optional(),
+  difficulty: taskLevelSchema.optional(),
+  priority: taskLevelSchema.optional(),
+  checklist: z.array(z.object({
+    text: z.string().trim().min(1),
+    completed: z.boolean().optional(),
+  })).optional(),
+  ...scheduleShape,
+  ...taskDetailShape,
+});
+
+const taskUpdateSchema = z.object({
+  text: z.string().trim().min(1).optional(),
+  notes: z.string().optional(),
+  completed: z.boolean().optional(),
+  ...scheduleShape,
+  ...taskDetailShape,
+});
+
+function formatZodIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || 'input'}: ${issue.message}`).join('; ');
+}
+
+function throwInvalidTask(message) {
+  throw new McpError(ErrorCode.InvalidParams, t(`Invalid task: ${message}`, `任务参数无效: ${message}`));
+}
+
+function hasScheduleFields(data) {
+  return SCHEDULE_FIELDS.some(field => data[field] !== undefined);
+}
+
+// 校验重复设置的组合并转换为 Habitica 字段，currentFrequency 为任务现有的频率
+function buildSchedule(data, currentFrequency) {
+  const frequency = data.frequency
+    || (data.daysOfMonth || data.weeksOfMonth ? 'monthly' : undefined)
+    || (data.repeat && currentFrequency !== 'monthly' ? 'weekly' : undefined)
+    || currentFrequency;
+  const errors = [];
+  
+  if (data.daysOfMonth && data.weeksOfMonth) {
+    errors.push(t('daysOfMonth and weeksOfMonth cannot be combined', 'daysOfMonth 与 weeksOfMonth 不能同时使用'));
+  }
+  if ((data.daysOfMonth || data.weeksOfMonth) && frequency !== 'monthly') {
+    errors.push(t('daysOfMonth / weeksOfMonth require frequency "monthly"', 'daysOfMonth / weeksOfMonth 需要 frequency 为 "monthly"'));
+  }
+  if (data.weeksOfMonth && !data.repeat) {
+    errors.push(t('weeksOfMonth requires repeat weekdays', 'weeksOfMonth 需要同时指定 repeat 星期'));
+  }
+  if (data.repeat && frequency !== 'weekly' && frequency !== 'monthly') {
+    errors.push(t('repeat weekdays require frequency "weekly" or "monthly"', 'repeat 星期需要 frequency 为 "weekly" 或 "monthly"'));
+  }
+  if (errors.length > 0) {
+    throwInvalidTask(errors.join('; '));
+  }
+  
+  const schedule = {};
+  if (frequency !== currentFrequency || data.frequency) schedule.frequency = frequency;
+  if (data.repeat) {
+    schedule.repeat = Object.fromEntries(
+      WEEKDAYS.map(day => [HABITICA_WEEKDAY_KEYS[day], data.repeat.includes(day)])
+    );
+  }
+  if (data.everyX !== undefined) schedule.everyX = data.everyX;
+  if (data.startDate) schedule.startDate = data.startDate;
+  if (data.daysOfMonth) {
+    schedule.daysOfMonth = data.daysOfMonth;
+    schedule.weeksOfMonth = [];
+  }
+  if (data.weeksOfMonth) {
+    schedule.weeksOfMonth = data.weeksOfMonth;
+    schedule.daysOfMonth = [];
+  }
+  return schedule;
+}
+
+function pickDefined(data, fields) {
+  return Object.fromEntries(fields.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+}
+
+// 校验任务输入并转换为 Habitica 任务格式（Habitica 的 priority 字段即任务难度）
+function parseTaskInput(input) {
+  const result = taskInputSchema.safeParse(input);
+  if (!result.success) {
+    throwInvalidTask(formatZodIssues(result.error));
+  }
+  
+  const { difficulty, ...data } = result.data;
+  const task = pickDefined(data, ['type', 'text', 'notes', 'priority', 'checklist', ...TASK_DETAIL_FIELDS]);
+  if (difficulty !== undefined) {
+    task.priority = difficulty;
+  }
+  
+  if (hasScheduleFields(data)) {
+    if (data.type !== 'daily') {
+      throwInvalidTask(t('schedule fields only apply to dailies', '重复设置仅适用于日常任务'));
+    }
+    Object.assign(task, buildSchedule(data, undefined));
+  }
+  if (data.date && data.type !== 'todo') {
+    throwInvalidTask(t('date only applies to todos', '截止日期仅适用于待办任务'));
+  }
+  return task;
+}
+
+// 校验任务更新，existingTask 仅在包含重复设置或截止日期时需要
+function parseTaskUpdate(input, existingTask) {
+  const result = taskUpdateSchema.safeParse(input);
+  if (!result.success) {
+    throwInvalidTask(formatZodIssues(result.error));
+  }
+  
+  const data = result.data;
+  const updates = pickDefined(data, ['text', 'notes', 'completed', ...TASK_DETAIL_FIELDS]);
+  
+  if (hasScheduleFields(data)) {
+    if (existingTask?.type !== 'daily') {
+      throwInvalidTask(t('schedule fields only apply to dailies', '重复设置仅适用于日常任务'));
+    }
+    Object.assign(updates, buildSchedule(data, existingTask.frequency));
+  }
+  if (data.date && existingTask?.type !== 'todo') {
+    throwInvalidTask(t('date only applies to todos', '截止日期仅适用于待办任务'));
+  }
+  return updates;
+}
+
+const WEEKDAY_NAMES = {
+  su: ['Sun', '周日'], m: ['Mon', '周一'], t: ['Tue', '周二'], w: ['Wed', '周三'],
+  th: ['Thu', '周四'], f: ['Fri', '周五'], s: ['Sat', '周六'],
+};
+
+function ordinal(n) {
+  const suffixes = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return `${n}${suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]}`;
+}
+
+// 以自然语言描述日常任务的重复设置，preferences 用于按用户时区显示日期
+function describeSchedule(task, preferences) {
+  const everyX = task.everyX ?? 1;
+  const days = Object.keys(WEEKDAY_NAMES).filter(key => task.repeat?.[key]);
+  const dayNames = days.map(key => t(WEEKDAY_NAMES[key][0], WEEKDAY_NAMES[key][1])).join(t(', ', '、'));
+  const startDate = task.startDate ? formatUserDate(task.startDate, preferences) : undefined;
+  let description;
+  
+  if (everyX === 0) {
+    description = t('never due', '从不到期');
+  } else {
+    switch (task.frequency) {
+      case 'weekly':
+        description = everyX === 1
+          ? (days.length === 7 ? t('every day', '每天') : t(`every week on ${dayNames}`, `每周${dayNames}`))
+          : t(`every ${everyX} weeks on ${dayNames}`, `每 ${everyX} 周的${dayNames}`);
+        break;
+      
+      case 'monthly': {
+        const interval = everyX === 1 ? t('every month', '每月') : t(`every ${everyX} months`, `每 ${everyX} 个月`);
+        if (task.weeksOfMonth?.length) {
+          const weeks = task.weeksOfMonth.map(week => t(ordinal(week + 1), `第${week + 1}个`)).join('/');
+          description = t(`${interval} on the ${weeks} ${dayNames}`, `${interval}${weeks}${dayNames}`);
+        } else {
+          const monthDays = (task.daysOfMonth || []).join(t(', ', '、'));
+          description = t(`${interval} on day ${monthDays}`, `${interval} ${monthDays} 日`);
+        }
+        break;
+      }
+      
+      case 'yearly':
+        description = everyX === 1
+          ? t(`every year on ${startDate?.slice(5) ?? '?'}`, `每年 ${startDate?.slice(5) ?? '?'}`)
+          : t(`every ${everyX} years on ${startDate?.slice(5) ?? '?'}`, `每 ${everyX} 年的 ${startDate?.slice(5) ?? '?'}`);
+        break;
+      
+      default:
+        description = everyX === 1 ? t('every day', '每天') : t(`every ${everyX} days`, `每 ${everyX} 天`);
+    }
+  }
+  
+  return startDate
+    ? t(`${description}, starting ${startDate}`, `${description}，从 ${startDate} 开始`)
+    : description;
+}
+
+// 日期解析：以 UTC 零点时间戳表示用户时区中的某一天
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_ALIASES = {
+  sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6,
+  日: 0, 天: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6,
+};
+
+async function getUserPreferences(habiticaClient) {
+  const user = await getUser(habiticaClient, ['preferences']);
+  return user.preferences || {};
+}
+
+// Habitica 的 timezoneOffset 与 Date#getTimezoneOffset 相同（UTC 减本地时间，单位分钟）；
+// dayStart 之前的时间仍算作前一天
+function getUserToday(preferences, now = Date.now()) {
+  const offset = preferences?.timezoneOffset ?? 0;
+  const dayStart = preferences?.dayStart ?? 0;
+  const local = new Date(now - offset * 60 * 1000 - dayStart * 60 * 60 * 1000);
+  return Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+}
+
+// 用户时区中某一天的零点（UTC 时间）
+function toUserInstant(day, preferences, minutes = 0) {
+  const offset = preferences?.timezoneOffset ?? 0;
+  return new Date(day + (minutes + offset) * 60 * 1000).toISOString();
+}
+
+function formatUserDate(value, preferences) {
+  const offset = preferences?.timezoneOffset ?? 0;
+  return new Date(Date.parse(value) - offset * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function formatDay(day) {
+  return new Date(day).toISOString().slice(0, 10);
+}
+
+function addMonths(day, months) {
+  const date = new Date(day);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate());
+}
+
+// 解析 "tomorrow"、"next friday"、"in 3 days"、"下周一"、"3天后"、YYYY-MM-DD 等日期
+function parseUserDate(input, preferences) {
+  const text = input.trim().toLowerCase();
+  const today = getUserToday(preferences);
+  const todayWeekday = new Date(today).getUTCDay();
+  let match;
+  
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    const day = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return new Date(day).getUTCDate() === Number(match[3]) ? day : undefined;
+  }
+  
+  const fixedDays = {
+    today: 0, '今天': 0, tomorrow: 1, '明天': 1, yesterday: -1, '昨天': -1,
+    'day after tomorrow': 2, '后天': 2, 'next week': 7, '下周': 7,
+  };
+  if (text in fixedDays) {
+    return today + fixedDays[text] * DAY_MS;
+  }
+  
+  if ((match = text.match(/^in (\d+) (day|week|month)s?$/)) || (match = text.match(/^(\d+)\s*(天|周|个月)后$/))) {
+    const amount = Number(match[1]);
+    if (match[2] === 'month' || match[2] === '个月') return addMonths(today, amount);
+    return today + amount * (match[2] === 'week' || match[2] === '周' ? 7 : 1) * DAY_MS;
+  }
+  
+  if ((match = text.match(/^(?:(next|this|coming) )?([a-z]+)$/)) && match[2] in WEEKDAY_ALIASES) {
+    // 下一个到来的星期几；"this" 在当天即为今天，其他写法不含今天
+    const delta = (WEEKDAY_ALIASES[match[2]] - todayWeekday + 7) % 7;
+    return today + (delta === 0 && match[1] !== 'this' ? 7 : delta) * DAY_MS;
+  }
+  
+  if ((match = text.match(/^(下|这|本)?(?:周|星期|礼拜)([一二三四五六日天])$/))) {
+    // 以周一为一周的开始
+    const mondayOffset = (todayWeekday + 6) % 7;
+    const targetOffset = (WEEKDAY_ALIASES[match[2]] + 6) % 7;
+    const weekShift = match[1] === '下' ? 7 : 0;
+    const day = today + (targetOffset - mondayOffset + weekShift) * DAY_MS;
+    return match[1] ? day : (day > today ? day : day + 7 * DAY_MS);
+  }
+  
+  const parsed = Date.parse(input);
+  if (!Number.isNaN(parsed)) {
+    // 带时区的时间点换算为用户时区中的日期；不带时区的写法按字面上的日期
+    if (/(?:z|[+-]\d{2}:?\d{2}|gmt|utc)$/.test(text)) {
+      return getUserToday({ timezoneOffset: preferences?.timezoneOffset }, parsed);
+    }
+    const date = new Date(parsed);
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+  return undefined;
+}
+
+function resolveUserDate(input, preferences, field) {
+  const day = parseUserDate(input, preferences);
+  if (day === undefined) {
+    throwInvalidTask(t(`${field}: cannot understand date "${input}"`, `${field}: 无法识别日期 "${input}"`));
+  }
+  return day;
+}
+
+// 将标签名称或ID解析为标签ID，createMissing 为 true 时自动创建不存在的标签
+async function resolveTagIds(habiticaClient, tagRefs, createMissing = false) {
+  const response = await habiticaClient.get('/tags');
+  const tags = response.data.data || [];
+  const tagIds = [];
+  const missing = [];
+  
+  tagRefs.forEach(ref => {
+    const tag = tags.find(tag => tag.id === ref || tag.name.toLowerCase() === ref.toLowerCase());
+    if (tag) {
+      tagIds.push(tag.id);
+    } else {
+      missing.push(ref);
+    }
+  });
+  
+  if (missing.length > 0 && !createMissing) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      t(`Unknown tags: ${missing.join(', ')}. Existing tags: ${tags.map(tag => tag.name).join(', ') || 'none'}. Set createMissingTags=true to create them.`,
+        `未知标签: ${missing.join(', ')}。现有标签: ${tags.map(tag => tag.name).join(', ') || '无'}。设置 createMissingTags=true 可自动创建。`)
+    );
+  }
+  
+  for (const name of missing) {
+    const created = await habiticaClient.post('/tags', { name });
+    tagIds.push(created.data.data.id);
+  }
+  
+  return [...new Set(tagIds)];
+}
+
+// 解析任务中的自然语言日期、提醒和标签名称，返回附加说明与用户偏好设置
+async function resolveTaskFields(habiticaClient, task, { createMissingTags = false, type = task.type } = {}) {
+  const details = [];
+  const preferences = task.date || task.startDate || task.reminders
+    ? await getUserPreferences(habiticaClient)
+    : undefined;
+  
+  let dueDay;
+  if (task.date) {
+    dueDay = resolveUserDate(task.date, preferences, 'date');
+    task.date = toUserInstant(dueDay, preferences);
+    details.push(t(`Due: ${formatDay(dueDay)}`, `截止日期: ${formatDay(dueDay)}`));
+  }
+  
+  if (task.startDate) {
+    task.startDate = toUserInstant(resolveUserDate(task.startDate, preferences, 'startDate'), preferences);
+  }
+  
+  if (task.reminders) {
+    const reminderTimes = [];
+    task.reminders = task.reminders.map(reminder => {
+      // 待办的提醒默认在截止日期当天，日常任务只使用时间部分
+      const day = reminder.date && type === 'todo'
+        ? resolveUserDate(reminder.date, preferences, 'reminders.date')
+        : (dueDay ?? getUserToday(preferences));
+      const [hours, minutes] = reminder.time.split(':').map(Number);
+      reminderTimes.push(type === 'todo' ? `${formatDay(day)} ${reminder.time}` : reminder.time);
+      return {
+        id: crypto.randomUUID(),
+        startDate: toUserInstant(day, preferences),
+        time: toUserInstant(day, preferences, hours * 60 + minutes),
+      };
+    });
+    details.push(t(`Reminders: ${reminderTimes.join(', ')}`, `提醒: ${reminderTimes.join(', ')}`));
+  }
+  
+  if (task.tags) {
+    const tagNames = task.tags;
+    task.tags = await resolveTagIds(habiticaClient, tagNames, createMissingTags);
+    details.push(t(`Tags: ${tagNames.join(', ')}`, `标签: ${tagNames.join(', ')}`));
+  }
+  
+  return { details, preferences };
+}
+
+// 任务列表输出（get_tasks / search_tasks 共用）
+const DIFFICULTY_LABELS = {
+  0.1: ['easy', '简单'], 1: ['medium', '中等'], 1.5: ['hard', '困难'], 2: ['very hard', '极难'],
+};
+
+// 任务字段投影，context 包含标签名称映射与用户偏好设置
+const TASK_FIELD_ACCESSORS = {
+  id: (task) => task.id,
+  type: (task) => task.type,
+  text: (task) => task.text,
+  notes: (task) => task.notes,
+  completed: (task) => !!task.completed,
+  difficulty: (task) => {
+    const label = DIFFICULTY_LABELS[task.priority];
+    return label ? t(label[0], label[1]) : task.priority;
   },
-  {
-    name: 'get_tags',
-    description: t('Get tags list', '获取标签列表'),
-    inputSchema: {
-      type: 'object',
-      properties: {},
-    },
+  due: (task, context) => task.type === 'todo' && task.date ? formatUserDate(task.date, context.preferences) : undefined,
+  isDue: (task) => task.type === 'daily' ? !!task.isDue : undefined,
+  streak: (task) => task.type === 'daily' ? task.streak ?? 0 : undefined,
+  value: (task) => Math.round((task.value ?? 0) * 100) / 100,
+  tags: (task, context) => (task.tags || []).map(tagId => context.tagNames?.get(tagId) || tagId),
+  checklist: (task) => task.checklist?.length
+    ? `${task.checklist.filter(item => item.completed).length}/${task.checklist.length}`
+    : undefined,
+};
+
+const TASK_FIELDS = Object.keys(TASK_FIELD_ACCESSORS);
+
+function summarizeTask(task, context) {
+  const parts = [task.id, task.type, task.text];
+  const due = TASK_FIELD_ACCESSORS.due(task, context);
+  
+  if (due) {
+    parts.push(t(`due ${due}`, `截止 ${due}`));
+  }
+  if (task.type === 'daily') {
+    parts.push(task.isDue ? t('due today', '今天到期') : t('not due', '今天不到期'));
+    parts.push(t(`streak ${task.streak ?? 0}`, `连击 ${task.streak ?? 0}`));
+  }
+  if (task.completed) {
+    parts.push('✓');
+  }
+  return parts.join(' | ');
+}
+
+function createTaskView(title, context) {
+  return {
+    title,
+    fields: Object.fromEntries(
+      Object.entries(TASK_FIELD_ACCESSORS).map(([field, accessor]) => [field, task => accessor(task, context)])
+    ),
+    summarize: task => summarizeTask(task, context),
+    emptyText: t('No matching tasks found', '未找到匹配的任务'),
+  };
+}
+
+// 加载任务输出所需的标签名称与用户偏好设置（仅在需要时请求）
+async function loadTaskContext(habiticaClient, options, { needsTags = false, needsPreferences = false } = {}) {
+  const fields = options.fields || [];
+  const showsDates = options.format !== 'json' || fields.includes('due');
+  
+  const [tagsResponse, preferences] = await Promise.all([
+    needsTags || fields.includes('tags') ? habiticaClient.get('/tags') : undefined,
+    needsPreferences || showsDates ? getUserPreferences(habiticaClient) : undefined,
+  ]);
+  const tags = tagsResponse?.data.data || [];
+  
+  return {
+    tags,
+    preferences,
+    tagNames: new Map(tags.map(tag => [tag.id, tag.name])),
+  };
+}
+
+// 需确认的工具共用的输入参数
+const confirmationProperties = {
+  preview: {
+    type: 'boolean',
+    description: t('Only return a preview and a confirmation token. Previews are already required unless the server sets MCP_REQUIRE_CONFIRMATION=false',
+      '只返回预览和确认 token。除非服务器设置了 MCP_REQUIRE_CONFIRMATION=false，否则本来就需要先预览'),
+  },
+  confirmationToken: {
+    type: 'string',
+    description: t('Token from the preview; executes the previewed action', '预览返回的 token，用于执行预览中的操作'),
+  },
+};
+
+// 批量任务操作：并发上限与单次最大条目数
+const BATCH_CONCURRENCY = 5;
+const MAX_BATCH_SIZE = 100;
+
+// 任务模板：按用户保存在本地 JSON 文件中
+const templateStore = createJsonStore('task-templates.json');
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+const TEMPLATE_VIEW = {
+  title: t('Task templates', '任务模板'),
+  fields: {
+    name: (template) => template.name,
+    description: (template) => template.description,
+    tasks: (template) => template.tasks.length,
+    variables: (template) => template.variables,
+    updatedAt: (template) => template.updatedAt,
+  },
+  summarize: (template) => [
+    template.name,
+    t(`${template.tasks.length} task(s)`, `${template.tasks.length} 个任务`),
+    template.variables.length > 0 ? template.variables.map(name => `{{${name}}}`).join(', ') : undefined,
+    template.description,
+  ].filter(Boolean).join(' | '),
+  emptyText: t('No task templates saved', '尚未保存任务模板'),
+};
+
+// 操作日志：按用户记录可撤销的操作及操作前的任务快照
+const journalStore = createJsonStore('action-journal.json');
+const MAX_JOURNAL_ENTRIES = 50;
+
+// 恢复已删除任务时重新提交的字段
+const TASK_RESTORE_FIELDS = [
+  'type', 'text', 'notes', 'priority', 'attribute', 'alias', 'tags', 'up', 'down', 'collapseChecklist',
+  'frequency', 'repeat', 'everyX', 'startDate', 'daysOfMonth', 'weeksOfMonth', 'date', 'value',
+];
+
+// 任务依赖：Habitica 本身不支持，按用户在本地保存 { 任务ID: [前置任务ID] }
+const dependencyStore = createJsonStore('task-dependencies.json');
+
+const BLOCKED_TASK_VIEW = {
+  title: t('Blocked tasks', '被阻挡的任务'),
+  fields: {
+    id: (task) => task.id,
+    text: (task) => task.text,
+    blockers: (task) => task.blockers.map(blocker => blocker.text),
+    blockerIds: (task) => task.blockers.map(blocker => blocker.id),
+  },
+  summarize: (task) => `${task.id} | ${task.text} | ${t('blocked by', '前置')}: ${formatBlockers(task.blockers)}`,
+  emptyText: t('No blocked tasks', '没有被阻挡的任务'),
+};
+
+// 其他列表工具的输出视图
+// 用户档案字段
+const PROFILE_FIELDS = {
+  name: (user) => user.profile?.name,
+  username: (user) => user.auth?.local?.username,
+  id: (user) => user.id,
+  class: (user) => user.stats?.class,
+  level: (user) => user.stats?.lvl,
+  hp: (user) => roundStat(user.stats?.hp),
+  maxHp: (user) => user.stats?.maxHealth,
+  mp: (user) => roundStat(user.stats?.mp),
+  maxMp: (user) => user.stats?.maxMP,
+  exp: (user) => roundStat(user.stats?.exp),
+  toNextLevel: (user) => user.stats?.toNextLevel,
+  gold: (user) => roundStat(user.stats?.gp),
+  gems: (user) => Math.round((user.balance ?? 0) * 4),
+  party: (user) => user.party?._id,
+  guilds: (user) => user.guilds?.length ?? 0,
+  dayStart: (user) => user.preferences?.dayStart,
+  timezoneOffset: (user) => user.preferences?.timezoneOffset,
+  createdAt: (user) => user.auth?.timestamps?.created,
+  lastLogin: (user) => user.auth?.timestamps?.loggedin,
+  newMessages: (user) => user.inbox?.newMessages ?? 0,
+};
+
+// 用户档案所需的 /user 路径
+const PROFILE_USER_FIELDS = ['profile', 'auth.local.username', 'auth.timestamps', 'stats', 'balance', 'party._id', 'guilds', 'preferences', 'inbox.newMessages'];
+
+const PROFILE_VIEW = {
+  fields: PROFILE_FIELDS,
+  defaultFields: ['name', 'username', 'class', 'level', 'hp', 'maxHp', 'mp', 'maxMp', 'exp', 'toNextLevel', 'gold', 'gems'],
+};
+
+function roundStat(value) {
+  return value === undefined ? undefined : Math.round(value * 100) / 100;
+}
+
+const INVENTORY_CATEGORIES = ['eggs', 'hatchingPotions', 'food', 'quests', 'special', 'gear'];
+
+const INVENTORY_VIEW = {
+  title: t('Inventory', '物品栏'),
+  fields: {
+    category: (item) => item.category,
+    key: (item) => item.key,
+    quantity: (item) => item.quantity,
+  },
+  summarize: (item) => `${item.category} | ${item.key} x${item.quantity}`,
+  emptyText: t('No items found', '未找到物品'),
+};
+
+// 将物品栏展开为 { category, key, quantity } 列表，装备取自 gear.owned
+function flattenInventory(items, category) {
+  return INVENTORY_CATEGORIES
+    .filter(name => !category || name === category)
+    .flatMap(name => {
+      const entries = Object.entries((name === 'gear' ? items.gear?.owned : items[name]) || {});
+      return entries
+        .filter(([, quantity]) => quantity === true || quantity > 0)
+        .map(([key, quantity]) => ({ category: name, key, quantity: quantity === true ? 1 : quantity }));
+    });
+}
+
+const TAG_VIEW = {
+  title: t('Tags', '标签'),
+  fields: {
+    id: (tag) => tag.id,
+    name: (tag) => tag.name,
+  },
+  emptyText: t('No tags found', '未找到标签'),
+};
+
+// 宠物与坐骑的键格式为 "物种-孵化药水"，例如 Wolf-Base
+function splitPetKey(key) {
+  const [species, ...potion] = key.split('-');
+  return { species, potion: potion.join('-') };
+}
+
+const PET_VIEW = {
+  title: t('Pets', '宠物'),
+  fields: {
+    key: (pet) => pet.key,
+    species: (pet) => pet.species,
+    potion: (pet) => pet.potion,
+    progress: (pet) => pet.progress,
+    current: (pet) => pet.current,
+  },
+  summarize: (pet) => [
+    pet.key,
+    // 进度为 -1 表示宠物已成长为坐骑
+    pet.progress < 0 ? t('raised to mount', '已成长为坐骑') : t(`fed ${pet.progress}`, `喂养进度 ${pet.progress}`),
+    pet.current ? t('current', '当前') : undefined,
+  ].filter(Boolean).join(' | '),
+  emptyText: t('No pets found', '未找到宠物'),
+};
+
+const MOUNT_VIEW = {
+  title: t('Mounts', '坐骑'),
+  fields: {
+    key: (mount) => mount.key,
+    species: (mount) => mount.species,
+    potion: (mount) => mount.potion,
+    current: (mount) => mount.current,
+  },
+  summarize: (mount) => mount.current ? `${mount.key} | ${t('current', '当前')}` : mount.key,
+  emptyText: t('No mounts found', '未找到坐骑'),
+};
+
+const NOTIFICATION_VIEW = {
+  title: t('Notifications', '通知'),
+  fields: {
+    id: (notification) => notification.id,
+    type: (notification) => notification.type,
+    seen: (notification) => !!notification.seen,
+    data: (notification) => notification.data,
+  },
+  defaultFields: ['id', 'type', 'seen'],
+  emptyText: t('No notifications', '没有通知'),
+};
+
+const SHOP_VIEW = {
+  title: t('Shop items', '商店物品'),
+  fields: {
+    key: (item) => item.key,
+    text: (item) => item.text,
+    category: (item) => item.category,
+    price: (item) => item.price,
+    currency: (item) => item.currency,
+    locked: (item) => item.locked,
+    purchaseType: (item) => item.purchaseType,
+  },
+  summarize: (item) => [
+    item.key,
+    item.text,
+    `${item.price} ${item.currency}`,
+    item.locked ? t('locked', '未解锁') : undefined,
+  ].filter(value => value !== undefined).join(' | '),
+  emptyText: t('No shop items found', '未找到商店物品'),
+};
+
+// 将商店分类展开为物品列表
+function flattenShop(shop) {
+  return (shop.categories || []).flatMap(category => (category.items || []).map(item => ({
+    key: item.key,
+    text: item.text,
+    category: category.identifier,
+    price: item.value,
+    currency: item.currency,
+    locked: !!item.locked,
+    purchaseType: item.purchaseType,
+  })));
+}
+
+// 生产力报告周期
+const REPORT_PERIODS = ['day', 'week', 'month'];
+
+// 属性历史（本地快照）
+const STAT_HISTORY_VIEW = {
+  title: t('Stat history', '属性历史'),
+  fields: {
+    at: (entry) => entry.at,
+    reason: (entry) => entry.reason,
+    level: (entry) => entry.lvl,
+    exp: (entry) => roundStat(entry.exp),
+    gp: (entry) => roundStat(entry.gp),
+    hp: (entry) => roundStat(entry.hp),
+    mp: (entry) => roundStat(entry.mp),
+  },
+  summarize: (entry) => [
+    entry.at,
+    `${t('Level', '等级')} ${entry.lvl ?? '-'}`,
+    `${t('XP', '经验')} ${roundStat(entry.exp ?? 0)}`,
+    `${t('Gold', '金币')} ${roundStat(entry.gp ?? 0)}`,
+    `${t('HP', '生命')} ${roundStat(entry.hp ?? 0)}`,
+    `${t('MP', '魔法')} ${roundStat(entry.mp ?? 0)}`,
+    entry.reason,
+  ].join(' | '),
+  emptyText: t('No snapshots recorded in this range', '此时间范围内没有快照'),
+};
+
+// 社交功能（队伍、公会、挑战、私信）
+const PARTY_MEMBER_VIEW = {
+  title: t('Party members', '队伍成员'),
+  fields: {
+    id: (member) => member._id || member.id,
+    name: (member) => getMemberName(member),
+    level: (member) => member.stats?.lvl,
+    class: (member) => member.stats?.class,
+    hp: (member) => roundStat(member.stats?.hp ?? 0),
+    maxHp: (member) => member.stats?.maxHealth ?? 50,
+  },
+  summarize: (member) => formatPartyMember(member),
+  emptyText: t('No party members found', '未找到队伍成员'),
+};
+
+// Habitica 按时间倒序返回聊天消息，继续翻页即查看更早的消息
+const CHAT_MESSAGE_VIEW = {
+  title: t('Chat messages, newest first', '聊天消息（最新在前）'),
+  fields: {
+    id: (message) => message.id,
+    user: (message) => message.user || message.username,
+    text: (message) => message.text,
+    timestamp: (message) => message.timestamp ? new Date(message.timestamp).toISOString() : undefined,
   },
+  summarize: (message) => formatChatMessage(message),
+  emptyText: t('No chat messages found', '未找到聊天消息'),
+  defaultLimit: 20,
+};
+
+const GUILD_VIEW = {
+  title: t('Guilds', '公会'),
+  fields: {
+    id: (guild) => guild._id || guild.id,
+    name: (guild) => guild.name,
+    summary: (guild) => guild.summary,
+    memberCount: (guild) => guild.memberCount,
+  },
+  summarize: (guild) => formatGuildSummary(guild),
+  emptyText: t('No guilds found', '未找到公会'),
+};
+
+const CHALLENGE_VIEW = {
+  title: t('Challenges', '挑战'),
+  fields: {
+    id: (challenge) => challenge._id || challenge.id,
+    name: (challenge) => challenge.name,
+    group: (challenge) => challenge.group?.name,
+    memberCount: (challenge) => challenge.memberCount,
+    prize: (challenge) => challenge.prize ?? 0,
+  },
+  summarize: (challenge) => formatChallengeSummary(challenge),
+  emptyText: t('No challenges found', '未找到挑战'),
+};
+
+const CHALLENGE_TASK_VIEW = {
+  title: t('Challenge tasks', '挑战任务'),
+  fields: {
+    id: (task) => task.id || task._id,
+    type: (task) => task.type,
+    text: (task) => task.text,
+    priority: (task) => task.priority,
+  },
+  summarize: (task) => formatChallengeTask(task),
+  emptyText: t('No challenge tasks found', '未找到挑战任务'),
+};
+
+// 私信按会话列出，每个会话包含与同一用户往来的消息
+const CONVERSATION_VIEW = {
+  title: t('Conversations', '会话'),
+  fields: {
+    partnerId: (conversation) => conversation.partnerId,
+    name: (conversation) => conversation.name,
+    username: (conversation) => conversation.username,
+    messageCount: (conversation) => conversation.messages.length,
+    messages: (conversation) => conversation.messages,
+  },
+  defaultFields: ['partnerId', 'name', 'username', 'messageCount'],
+  summarize: (conversation) => formatConversation(conversation),
+  emptyText: t('No private messages found', '未找到私信'),
+};
+
+// 工具定义
+const tools = [
   {
-    name: 'create_tag',
-    description: t('Create tag', '创建新标签'),
+    name: 'get_user_profile',
+    description: describeFields(t('Get user profile', '获取用户档案信息'), Object.keys(PROFILE_VIEW.fields)),
     inputSchema: {
       type: 'object',
       properties: {
-        name: {
-          type: 'string',
-          description: t('Tag name', '标签名称'),
-        },
+        ...outputProperties,
       },
-      required: ['name'],
-    },
-  },
-  {
-    name: 'get_pets',
-    description: '获取宠物列表',
-    inputSchema: {
-      type: 'object',
-      properties: {},
     },
   },
   {
-    name: 'feed_pet',
-    description: '喂养宠物',
+    name: 'get_tasks',
+    description: describeFields(t('Get tasks list', '获取任务列表'), TASK_FIELDS),
     inputSchema: {
       type: 'object',
       properties: {
-        pet: {
-          type: 'string',
-          description: '宠物key',
-        },
-        food: {
+        type: {
           type: 'string',
-          description: '食物key',
+          enum: ['habits', 'dailys', 'todos', 'rewards'],
+          description: t('Task type', '任务类型'),
         },
+        ...outputProperties,
       },
-      required: ['pet', 'food'],
     },
   },
   {
-    name: 'hatch_pet',
-    description: '孵化宠物',
+    name: 'search_tasks',
+    description: describeFields(t('Search and filter tasks, one compact line per task', '搜索和筛选任务，每个任务一行简洁输出'), TASK_FIELDS),
     inputSchema: {
       type: 'object',
       properties: {
-        egg: {
+        type: {
           type: 'string',
-          description: '蛋的key',
+          enum: ['habit', 'daily', 'todo', 'reward'],
+          description: t('Task type', '任务类型'),
         },
-        hatchingPotion: {
+        text: {
           type: 'string',
-          description: '孵化药水的key',
+          description: t('Case-insensitive text to match in title, notes or checklist', '在标题、备注或清单中匹配的文本 (不区分大小写)'),
+        },
+        tags: {
+          type: 'array',
+          items: {
+            type: 'string',
+          },
+          description: t('Tag names or IDs; tasks must have all of them', '标签名称或ID，任务需包含全部标签'),
+        },
+        dueBefore: {
+          type: 'string',
+          description: t('Todos due on or before this date (YYYY-MM-DD or natural language)', '截止日期不晚于此日期的待办 (YYYY-MM-DD 或自然语言)'),
+        },
+        dueAfter: {
+          type: 'string',
+          description: t('Todos due on or after this date (YYYY-MM-DD or natural language)', '截止日期不早于此日期的待办 (YYYY-MM-DD 或自然语言)'),
+        },
+        status: {
+          type: 'string',
+          enum: ['incomplete', 'completed', 'any'],
+          description: t('Completion status (default incomplete; completed includes finished todos)', '完成状态 (默认 incomplete；completed 包含已完成的待办)'),
+          default: 'incomplete',
+        },
+        isDue: {
+          type: 'boolean',
+          description: t('Only dailies that are due (true) or not due (false) today', '仅今天到期 (true) 或不到期 (false) 的日常'),
+        },
+        difficulty: {
+          type: 'number',
+          enum: [0.1, 1, 1.5, 2],
+          description: t('Difficulty (0.1=easy, 1=medium, 1.5=hard, 2=very hard)', '难度 (0.1=简单, 1=中等, 1.5=困难, 2=极难)'),
+        },
+        minStreak: {
+          type: 'number',
+          description: t('Minimum streak', '最小连击数'),
         },
+        maxStreak: {
+          type: 'number',
+          description: t('Maximum streak', '最大连击数'),
+        },
+        ...outputProperties,
       },
-      required: ['egg', 'hatchingPotion'],
     },
   },
   {
-    name: 'get_mounts',
-    description: '获取坐骑列表',
+    name: 'analyze_habits',
+    description: t('Analyze habits and dailies from their history: streaks, completion rates over 7/30/90 days, best and worst weekdays and value trend. Returns a text summary followed by JSON',
+      '根据历史记录分析习惯和日常: 连击、7/30/90 天完成率、最佳与最差星期以及分值趋势。返回文字摘要和 JSON'),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['habit', 'daily'],
+          description: t('Only analyze this task type', '仅分析此类任务'),
+        },
+        taskIds: {
+          type: 'array',
+          items: {
+            type: 'string',
+          },
+          description: t('Only analyze these tasks (IDs or aliases)', '仅分析这些任务 (ID 或别名)'),
+        },
+      },
     },
   },
   {
-    name: 'equip_item',
-    description: '装备物品',
+    name: 'generate_report',
+    description: t('Generate a Markdown productivity report for a day, week or month: completed todos, daily completion rate, habits scored up vs down, XP/gold/HP changes and level-ups',
+      '生成某日、某周或某月的 Markdown 生产力报告: 已完成待办、日常完成率、习惯正负向记录、经验/金币/生命变化与升级'),
     inputSchema: {
       type: 'object',
       properties: {
-        type: {
+        period: {
           type: 'string',
-          enum: ['mount', 'pet', 'costume', 'equipped'],
-          description: '装备类型',
+          enum: REPORT_PERIODS,
+          description: t('Report period (default week; weeks start on Monday)', '报告周期 (默认 week，每周从周一开始)'),
         },
-        key: {
+        date: {
           type: 'string',
-          description: '物品key',
+          description: t('Any day within the period, e.g. 2024-05-01 or "yesterday" (default today)', '周期内的任意一天，如 2024-05-01 或 "yesterday" (默认今天)'),
+        },
+        saveToFile: {
+          type: 'boolean',
+          description: t('Also write the report to a Markdown file under the report directory', '同时将报告写入报告目录下的 Markdown 文件'),
         },
       },
-      required: ['type', 'key'],
     },
   },
   {
-    name: 'get_notifications',
-    description: '获取通知列表',
+    name: 'get_stat_history',
+    description: describeFields(t('Query HP/MP/XP/gold/level over time from the local snapshots recorded on a schedule and after changes',
+      '从定时及修改后记录的本地快照查询生命/魔法/经验/金币/等级的历史'), Object.keys(STAT_HISTORY_VIEW.fields)),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        from: {
+          type: 'string',
+          description: t('First day, e.g. 2024-05-01 or "yesterday" (default 30 days ago)', '起始日期，如 2024-05-01 或 "yesterday" (默认 30 天前)'),
+        },
+        to: {
+          type: 'string',
+          description: t('Last day (default today)', '结束日期 (默认今天)'),
+        },
+        resolution: {
+          type: 'string',
+          enum: ['all', 'day'],
+          description: t('all: every snapshot (default); day: the last snapshot of each day', 'all: 所有快照 (默认); day: 每天最后一份快照'),
+        },
+        ...outputProperties,
+      },
     },
   },
   {
-    name: 'read_notification',
-    description: '标记通知为已读',
+    name: 'export_account',
+    description: t('Export tasks, completed todos, tags, checklists, challenge memberships and an inventory summary as JSON, or only the tasks as CSV or Markdown',
+      '导出任务、已完成待办、标签、清单、挑战成员资格和物品栏摘要为 JSON，或仅将任务导出为 CSV 或 Markdown'),
     inputSchema: {
       type: 'object',
       properties: {
-        notificationId: {
+        format: {
           type: 'string',
-          description: '通知ID',
+          enum: ['json', 'csv', 'markdown'],
+          description: t('Export format (default json; only json can be imported again)', '导出格式 (默认 json，只有 json 可再次导入)'),
+        },
+        saveToFile: {
+          type: 'boolean',
+          description: t('Write the export to a file in the export directory instead of returning it', '将导出写入导出目录中的文件，而不是直接返回'),
         },
       },
-      required: ['notificationId'],
     },
   },
   {
-    name: 'get_shop',
-    description: '获取商店物品',
+    name: 'import_tasks',
+    description: t('Recreate tasks and tags from an export_account JSON export in this account, mapping tags by name. Always returns a diff preview first; call again with the confirmation token to write',
+      '根据 export_account 的 JSON 导出在当前账号中重新创建任务和标签，标签按名称映射。总是先返回差异预览，使用确认 token 再次调用才会写入'),
     inputSchema: {
       type: 'object',
       properties: {
-        shopType: {
+        data: {
+          type: ['object', 'string'],
+          description: t('The JSON export (object or string)', 'JSON 导出内容 (对象或字符串)'),
+        },
+        file: {
           type: 'string',
-          enum: ['market', 'questShop', 'timeTravelersShop', 'seasonalShop'],
-          description: '商店类型',
+          description: t('File name of an export saved with export_account saveToFile', '使用 export_account saveToFile 保存的导出文件名'),
+        },
+        types: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['habit', 'daily', 'todo', 'reward'],
+          },
+          description: t('Only import these task types', '仅导入这些类型的任务'),
+        },
+        skipExisting: {
+          type: 'boolean',
+          description: t('Skip tasks whose type and text already exist in this account (default true)', '跳过当前账号中类型和标题相同的任务 (默认 true)'),
         },
+        confirmationToken: confirmationProperties.confirmationToken,
       },
     },
   },
   {
-    name: 'buy_item',
-    description: '购买商店物品',
+    name: 'create_task',
+    description: t('Create new task', '创建新任务'),
+    inputSchema: {
+      type: 'object',
+      properties: taskProperties,
+      required: ['type', 'text'],
+    },
+  },
+  {
+    name: 'score_task',
+    description: t('Score task / habit. Scoring a reward buys it and needs confirmation like buy_reward', '完成任务或记录习惯。对奖励评分即购买，与 buy_reward 一样需要确认'),
     inputSchema: {
       type: 'object',
       properties: {
-        itemKey: {
+        taskId: {
           type: 'string',
-          description: '物品key',
+          description: t('Task ID', '任务ID'),
         },
-        quantity: {
-          type: 'number',
-          description: '购买数量',
-          default: 1,
+        direction: {
+          type: 'string',
+          enum: ['up', 'down'],
+          description: t('Direction (up=positive, down=negative, habits only)', '方向 (up=正向, down=负向，仅适用于习惯)'),
         },
+        ...confirmationProperties,
       },
-      required: ['itemKey'],
+      required: ['taskId'],
     },
   },
   {
-    name: 'add_checklist_item',
-    description: t('Add checklist item to task', '向任务添加清单项目'),
+    name: 'update_task',
+    description: t('Update task', '更新任务'),
+    inputSchema: {
+      type: 'object',
+      properties: taskUpdateProperties,
+      required: ['taskId'],
+    },
+  },
+  {
+    name: 'delete_task',
+    description: t('Delete task', '删除任务'),
     inputSchema: {
       type: 'object',
       properties: {
@@ -632,478 +1846,3752 @@ const tools = [
           type: 'string',
           description: t('Task ID', '任务ID'),
         },
-        text: {
-          type: 'string',
-          description: t('Checklist item text', '清单项目文本'),
+        ...confirmationProperties,
+      },
+      required: ['taskId'],
+    },
+  },
+  {
+    name: 'batch_create_tasks',
+    description: t(`Create multiple tasks, reporting success or failure per task (max ${MAX_BATCH_SIZE})`, `批量创建任务，逐项报告成功或失败 (最多 ${MAX_BATCH_SIZE} 个)`),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: taskProperties,
+            required: ['type', 'text'],
+          },
+          description: t('Tasks to create (same fields as create_task)', '要创建的任务 (字段同 create_task)'),
         },
       },
-      required: ['taskId', 'text'],
+      required: ['tasks'],
     },
   },
   {
-    name: 'update_checklist_item',
-    description: t('Update checklist item', '更新清单项目'),
+    name: 'batch_score_tasks',
+    description: t(`Score multiple tasks, reporting success or failure per task (max ${MAX_BATCH_SIZE})`, `批量完成任务，逐项报告成功或失败 (最多 ${MAX_BATCH_SIZE} 个)`),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              taskId: {
+                type: 'string',
+                description: t('Task ID', '任务ID'),
+              },
+              direction: {
+                type: 'string',
+                enum: ['up', 'down'],
+                description: t('Direction (default up)', '方向 (默认 up)'),
+              },
+            },
+            required: ['taskId'],
+          },
+          description: t('Tasks to score', '要完成的任务'),
+        },
+        ...confirmationProperties,
+      },
+      required: ['items'],
+    },
+  },
+  {
+    name: 'batch_update_tasks',
+    description: t(`Update multiple tasks, reporting success or failure per task (max ${MAX_BATCH_SIZE})`, `批量更新任务，逐项报告成功或失败 (最多 ${MAX_BATCH_SIZE} 个)`),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        updates: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: taskUpdateProperties,
+            required: ['taskId'],
+          },
+          description: t('Updates to apply (same fields as update_task)', '要应用的更新 (字段同 update_task)'),
+        },
+      },
+      required: ['updates'],
+    },
+  },
+  {
+    name: 'batch_delete_tasks',
+    description: t(`Delete multiple tasks, reporting success or failure per task (max ${MAX_BATCH_SIZE})`, `批量删除任务，逐项报告成功或失败 (最多 ${MAX_BATCH_SIZE} 个)`),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskIds: {
+          type: 'array',
+          items: {
+            type: 'string',
+          },
+          description: t('IDs of the tasks to delete', '要删除的任务ID'),
+        },
+        ...confirmationProperties,
+      },
+      required: ['taskIds'],
+    },
+  },
+  {
+    name: 'undo_last_action',
+    description: t('Undo the most recent action: scoring a todo or daily, deleting a task or deleting a checklist item. If the most recent action cannot be undone (purchases, habit scores), it is reported and removed from the journal',
+      '撤销最近一次操作：对待办或日常评分、删除任务或删除清单项。最近一次操作无法撤销 (如购买、习惯评分) 时会说明原因并将其从日志移除'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'link_task_dependency',
+    description: t('Mark a todo as blocked until another todo or daily is completed', '将待办标记为需等待另一个待办或日常完成'),
     inputSchema: {
       type: 'object',
       properties: {
         taskId: {
           type: 'string',
-          description: t('Task ID', '任务ID'),
+          description: t('ID or alias of the blocked todo', '被阻挡的待办ID或别名'),
         },
-        itemId: {
+        blockedBy: {
           type: 'string',
-          description: t('Checklist item ID', '清单项目ID'),
+          description: t('ID or alias of the task that must be completed first', '需先完成的任务ID或别名'),
         },
-        text: {
+      },
+      required: ['taskId', 'blockedBy'],
+    },
+  },
+  {
+    name: 'unlink_task_dependency',
+    description: t('Remove a task dependency', '移除任务依赖'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
           type: 'string',
-          description: t('Checklist item text', '清单项目文本'),
+          description: t('ID or alias of the blocked todo', '被阻挡的待办ID或别名'),
         },
-        completed: {
-          type: 'boolean',
-          description: t('Completed status', '完成状态'),
+        blockedBy: {
+          type: 'string',
+          description: t('ID or alias of the blocking task', '前置任务ID或别名'),
         },
       },
-      required: ['taskId', 'itemId'],
+      required: ['taskId', 'blockedBy'],
     },
   },
   {
-    name: 'delete_checklist_item',
-    description: t('Delete checklist item', '删除清单项目'),
+    name: 'get_blocked_tasks',
+    description: describeFields(t('List todos that still have incomplete blocking tasks', '列出仍有未完成前置任务的待办'), Object.keys(BLOCKED_TASK_VIEW.fields)),
     inputSchema: {
       type: 'object',
       properties: {
-        taskId: {
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'save_task_template',
+    description: t('Save a reusable bundle of tasks; text, notes and checklist may contain {{variable}} placeholders',
+      '保存可复用的任务组合，标题、备注和清单可包含 {{variable}} 占位符'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
           type: 'string',
-          description: t('Task ID', '任务ID'),
+          description: t('Template name', '模板名称'),
         },
-        itemId: {
+        description: {
           type: 'string',
-          description: t('Checklist item ID', '清单项目ID'),
+          description: t('Template description', '模板说明'),
+        },
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: taskProperties,
+            required: ['type', 'text'],
+          },
+          description: t('Tasks to create when the template is applied (same fields as create_task)', '应用模板时创建的任务 (字段同 create_task)'),
+        },
+        overwrite: {
+          type: 'boolean',
+          description: t('Replace an existing template with the same name', '覆盖同名的现有模板'),
+          default: false,
         },
       },
-      required: ['taskId', 'itemId'],
+      required: ['name', 'tasks'],
     },
   },
   {
-    name: 'get_task_checklist',
-    description: t('Get task checklist items', '获取任务清单项目'),
+    name: 'list_task_templates',
+    description: describeFields(t('List saved task templates', '列出已保存的任务模板'), Object.keys(TEMPLATE_VIEW.fields)),
     inputSchema: {
       type: 'object',
       properties: {
-        taskId: {
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'apply_task_template',
+    description: t('Create the tasks of a saved template, filling in {{variable}} placeholders', '按已保存的模板创建任务，并填充 {{variable}} 占位符'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
           type: 'string',
-          description: t('Task ID', '任务ID'),
+          description: t('Template name', '模板名称'),
+        },
+        variables: {
+          type: 'object',
+          additionalProperties: {
+            type: 'string',
+          },
+          description: t('Values for the template placeholders, e.g. {"sprint": "42"}', '模板占位符的取值，例如 {"sprint": "42"}'),
         },
       },
-      required: ['taskId'],
+      required: ['name'],
     },
   },
   {
-    name: 'score_checklist_item',
-    description: t('Score checklist item (mark complete/incomplete)', '为清单项目评分（标记完成/未完成）'),
+    name: 'delete_task_template',
+    description: t('Delete a saved task template', '删除已保存的任务模板'),
     inputSchema: {
       type: 'object',
       properties: {
-        taskId: {
+        name: {
           type: 'string',
-          description: t('Task ID', '任务ID'),
+          description: t('Template name', '模板名称'),
         },
-        itemId: {
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'get_stats',
+    description: t('Get user stats', '获取用户统计信息'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'buy_reward',
+    description: t('Buy reward', '购买奖励'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: {
           type: 'string',
-          description: t('Checklist item ID', '清单项目ID'),
+          description: t('Reward key or ID', '奖励的key或ID'),
+        },
+        ...confirmationProperties,
+      },
+      required: ['key'],
+    },
+  },
+  {
+    name: 'get_inventory',
+    description: describeFields(t('Get inventory', '获取物品清单'), Object.keys(INVENTORY_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: {
+          type: 'string',
+          enum: INVENTORY_CATEGORIES,
+          description: t('Only list items of this category', '仅列出该类别的物品'),
+        },
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'cast_spell',
+    description: t('Cast spell', '施放技能'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        spellId: {
+          type: 'string',
+          description: t('Spell ID', '技能ID'),
+        },
+        targetId: {
+          type: 'string',
+          description: t('Target ID (optional)', '目标ID (可选)'),
+        },
+        ...confirmationProperties,
+      },
+      required: ['spellId'],
+    },
+  },
+  {
+    name: 'get_tags',
+    description: describeFields(t('Get tags list', '获取标签列表'), Object.keys(TAG_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'create_tag',
+    description: t('Create tag', '创建新标签'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: t('Tag name', '标签名称'),
+        },
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'add_tag_to_task',
+    description: t('Add a tag to a task', '为任务添加标签'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID', '任务ID'),
+        },
+        tag: {
+          type: 'string',
+          description: t('Tag name or ID', '标签名称或ID'),
+        },
+        createMissingTags: {
+          type: 'boolean',
+          description: t('Create the tag if it does not exist (default false)', '标签不存在时自动创建 (默认 false)'),
+          default: false,
+        },
+      },
+      required: ['taskId', 'tag'],
+    },
+  },
+  {
+    name: 'remove_tag_from_task',
+    description: t('Remove a tag from a task', '从任务移除标签'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID', '任务ID'),
+        },
+        tag: {
+          type: 'string',
+          description: t('Tag name or ID', '标签名称或ID'),
+        },
+      },
+      required: ['taskId', 'tag'],
+    },
+  },
+  {
+    name: 'get_pets',
+    description: describeFields('获取宠物列表', Object.keys(PET_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'feed_pet',
+    description: '喂养宠物',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pet: {
+          type: 'string',
+          description: '宠物key',
+        },
+        food: {
+          type: 'string',
+          description: '食物key',
+        },
+      },
+      required: ['pet', 'food'],
+    },
+  },
+  {
+    name: 'hatch_pet',
+    description: '孵化宠物',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        egg: {
+          type: 'string',
+          description: '蛋的key',
+        },
+        hatchingPotion: {
+          type: 'string',
+          description: '孵化药水的key',
+        },
+        ...confirmationProperties,
+      },
+      required: ['egg', 'hatchingPotion'],
+    },
+  },
+  {
+    name: 'get_mounts',
+    description: describeFields('获取坐骑列表', Object.keys(MOUNT_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'equip_item',
+    description: '装备物品',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['mount', 'pet', 'costume', 'equipped'],
+          description: '装备类型',
+        },
+        key: {
+          type: 'string',
+          description: '物品key',
+        },
+      },
+      required: ['type', 'key'],
+    },
+  },
+  {
+    name: 'get_notifications',
+    description: describeFields('获取通知列表', Object.keys(NOTIFICATION_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'read_notification',
+    description: '标记通知为已读',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        notificationId: {
+          type: 'string',
+          description: '通知ID',
+        },
+      },
+      required: ['notificationId'],
+    },
+  },
+  {
+    name: 'get_shop',
+    description: describeFields('获取商店物品', Object.keys(SHOP_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        shopType: {
+          type: 'string',
+          enum: ['market', 'questShop', 'timeTravelersShop', 'seasonalShop'],
+          description: '商店类型',
+        },
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'buy_item',
+    description: '购买商店物品',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        itemKey: {
+          type: 'string',
+          description: '物品key',
+        },
+        quantity: {
+          type: 'number',
+          description: '购买数量',
+          default: 1,
+        },
+        ...confirmationProperties,
+      },
+      required: ['itemKey'],
+    },
+  },
+  {
+    name: 'add_checklist_item',
+    description: t('Add checklist item to task', '向任务添加清单项目'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID', '任务ID'),
+        },
+        text: {
+          type: 'string',
+          description: t('Checklist item text', '清单项目文本'),
+        },
+      },
+      required: ['taskId', 'text'],
+    },
+  },
+  {
+    name: 'update_checklist_item',
+    description: t('Update checklist item', '更新清单项目'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID', '任务ID'),
+        },
+        itemId: {
+          type: 'string',
+          description: t('Checklist item ID', '清单项目ID'),
         },
+        text: {
+          type: 'string',
+          description: t('Checklist item text', '清单项目文本'),
+        },
+        completed: {
+          type: 'boolean',
+          description: t('Completed status', '完成状态'),
+        },
+      },
+      required: ['taskId', 'itemId'],
+    },
+  },
+  {
+    name: 'delete_checklist_item',
+    description: t('Delete checklist item', '删除清单项目'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID', '任务ID'),
+        },
+        itemId: {
+          type: 'string',
+          description: t('Checklist item ID', '清单项目ID'),
+        },
+      },
+      required: ['taskId', 'itemId'],
+    },
+  },
+  {
+    name: 'get_task_checklist',
+    description: t('Get task checklist items', '获取任务清单项目'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID', '任务ID'),
+        },
+      },
+      required: ['taskId'],
+    },
+  },
+  {
+    name: 'score_checklist_item',
+    description: t('Score checklist item (mark complete/incomplete)', '为清单项目评分（标记完成/未完成）'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID', '任务ID'),
+        },
+        itemId: {
+          type: 'string',
+          description: t('Checklist item ID', '清单项目ID'),
+        },
+      },
+      required: ['taskId', 'itemId'],
+    },
+  },
+  {
+    name: 'get_party',
+    description: t('Get party overview (leader, members, current quest)', '获取队伍概况（队长、成员、当前任务）'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'get_party_members',
+    description: describeFields(t('Get party members with level, class and HP', '获取队伍成员（等级、职业、生命值）'), Object.keys(PARTY_MEMBER_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'get_party_chat',
+    description: describeFields(t('Get recent party chat messages, newest first (default 20 per page)', '获取队伍最近的聊天消息，最新在前 (默认每页 20 条)'), Object.keys(CHAT_MESSAGE_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'send_party_message',
+    description: t('Send a message to party chat', '发送队伍聊天消息'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        message: {
+          type: 'string',
+          description: t('Message text', '消息内容'),
+        },
+      },
+      required: ['message'],
+    },
+  },
+  {
+    name: 'get_party_quest',
+    description: t('Get party quest state (boss HP, collection progress, participants)', '获取队伍任务状态（Boss 生命值、收集进度、参与者）'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'invite_quest',
+    description: t('Invite the party to a quest using an owned quest scroll', '使用拥有的任务卷轴邀请队伍参加任务'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        questKey: {
+          type: 'string',
+          description: t('Quest scroll key (see get_inventory)', '任务卷轴key (见 get_inventory)'),
+        },
+      },
+      required: ['questKey'],
+    },
+  },
+  {
+    name: 'accept_quest',
+    description: t('Accept the pending quest invitation', '接受待处理的任务邀请'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'reject_quest',
+    description: t('Reject the pending quest invitation', '拒绝待处理的任务邀请'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'force_start_quest',
+    description: t('Force-start the quest without waiting for all members (leader or quest owner)', '不等待所有成员直接开始任务（队长或任务发起人）'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'cancel_quest',
+    description: t('Cancel a pending quest or abort an active one', '取消待开始的任务或中止进行中的任务'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'leave_quest',
+    description: t('Leave the active quest', '退出进行中的任务'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'list_guilds',
+    description: describeFields(t('List public guilds or guilds you belong to', '列出公开公会或已加入的公会'), Object.keys(GUILD_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['public', 'member'],
+          description: t('public = browse public guilds, member = guilds you joined (default public)', 'public=浏览公开公会, member=已加入的公会 (默认 public)'),
+          default: 'public',
+        },
+        search: {
+          type: 'string',
+          description: t('Search text for guild name or summary', '公会名称或简介的搜索关键字'),
+        },
+        page: {
+          type: 'number',
+          description: t('Page number, starting at 0 (public guilds only)', '页码，从 0 开始 (仅公开公会)'),
+          default: 0,
+        },
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'get_guild',
+    description: t('Get guild details', '获取公会详情'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID', '公会ID'),
+        },
+      },
+      required: ['groupId'],
+    },
+  },
+  {
+    name: 'join_guild',
+    description: t('Join a guild', '加入公会'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID', '公会ID'),
+        },
+      },
+      required: ['groupId'],
+    },
+  },
+  {
+    name: 'leave_guild',
+    description: t('Leave a guild', '退出公会'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID', '公会ID'),
+        },
+        keepChallengeTasks: {
+          type: 'boolean',
+          description: t('Keep tasks from the guild\'s challenges (default true)', '保留公会挑战中的任务 (默认 true)'),
+          default: true,
+        },
+      },
+      required: ['groupId'],
+    },
+  },
+  {
+    name: 'get_guild_chat',
+    description: describeFields(t('Get recent guild chat messages, newest first (default 20 per page)', '获取公会最近的聊天消息，最新在前 (默认每页 20 条)'), Object.keys(CHAT_MESSAGE_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID', '公会ID'),
+        },
+        ...outputProperties,
+      },
+      required: ['groupId'],
+    },
+  },
+  {
+    name: 'post_guild_message',
+    description: t('Post a message to guild chat', '发送公会聊天消息'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID', '公会ID'),
+        },
+        message: {
+          type: 'string',
+          description: t('Message text', '消息内容'),
+        },
+      },
+      required: ['groupId', 'message'],
+    },
+  },
+  {
+    name: 'list_challenges',
+    description: describeFields(t('List challenges you joined or can join', '列出已参加或可参加的挑战'), Object.keys(CHALLENGE_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        scope: {
+          type: 'string',
+          enum: ['member', 'available'],
+          description: t('member = challenges you joined, available = all challenges you can join (default member)', 'member=已参加的挑战, available=所有可参加的挑战 (默认 member)'),
+          default: 'member',
+        },
+        search: {
+          type: 'string',
+          description: t('Search text for challenge name', '挑战名称的搜索关键字'),
+        },
+        page: {
+          type: 'number',
+          description: t('Page number, starting at 0', '页码，从 0 开始'),
+          default: 0,
+        },
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'join_challenge',
+    description: t('Join a challenge', '参加挑战'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID', '挑战ID'),
+        },
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'leave_challenge',
+    description: t('Leave a challenge', '退出挑战'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID', '挑战ID'),
+        },
+        keepTasks: {
+          type: 'boolean',
+          description: t('Keep the challenge tasks in your task list (default true)', '在任务列表中保留挑战任务 (默认 true)'),
+          default: true,
+        },
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'get_challenge_tasks',
+    description: describeFields(t('Get the task list of a challenge', '获取挑战的任务列表'), Object.keys(CHALLENGE_TASK_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID', '挑战ID'),
+        },
+        ...outputProperties,
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'get_challenge_progress',
+    description: t('Report your progress in one or all joined challenges, computed from your linked tasks', '根据关联任务统计单个或全部已参加挑战的进度'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID (optional, defaults to all joined challenges)', '挑战ID (可选，默认全部已参加的挑战)'),
+        },
+      },
+    },
+  },
+  {
+    name: 'create_challenge',
+    description: t('Create a challenge in a guild, party or the Tavern', '在公会、队伍或酒馆中创建挑战'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Group ID to host the challenge (use "habitrpg" for the public Tavern)', '挑战所属群组ID (公开酒馆使用 "habitrpg")'),
+        },
+        name: {
+          type: 'string',
+          description: t('Challenge name', '挑战名称'),
+        },
+        shortName: {
+          type: 'string',
+          description: t('Short name / tag (defaults to name)', '简称/标签 (默认与名称相同)'),
+        },
+        summary: {
+          type: 'string',
+          description: t('Short summary', '简介'),
+        },
+        description: {
+          type: 'string',
+          description: t('Full description', '详细说明'),
+        },
+        prize: {
+          type: 'number',
+          description: t('Gem prize for the winner, paid by you (default 0)', '给获胜者的宝石奖励，由你支付 (默认 0)'),
+          default: 0,
+        },
+        ...confirmationProperties,
+      },
+      required: ['groupId', 'name'],
+    },
+  },
+  {
+    name: 'update_challenge',
+    description: t('Update challenge name, summary or description', '更新挑战名称、简介或说明'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID', '挑战ID'),
+        },
+        name: {
+          type: 'string',
+          description: t('Challenge name', '挑战名称'),
+        },
+        summary: {
+          type: 'string',
+          description: t('Short summary', '简介'),
+        },
+        description: {
+          type: 'string',
+          description: t('Full description', '详细说明'),
+        },
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'add_challenge_task',
+    description: t('Add a task to a challenge you own', '向自己创建的挑战添加任务'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID', '挑战ID'),
+        },
+        ...taskProperties,
+      },
+      required: ['challengeId', 'type', 'text'],
+    },
+  },
+  {
+    name: 'select_challenge_winner',
+    description: t('Select the challenge winner and close the challenge', '选择挑战获胜者并结束挑战'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID', '挑战ID'),
+        },
+        winnerId: {
+          type: 'string',
+          description: t('User ID of the winning member', '获胜成员的用户ID'),
+        },
+      },
+      required: ['challengeId', 'winnerId'],
+    },
+  },
+  {
+    name: 'export_challenge_csv',
+    description: t('Export challenge member progress as CSV', '以 CSV 导出挑战成员进度'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID', '挑战ID'),
+        },
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'get_inbox',
+    description: describeFields(t('Get private messages grouped by conversation', '获取按会话分组的私信'), Object.keys(CONVERSATION_VIEW.fields)),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        page: {
+          type: 'number',
+          description: t('Page number, starting at 0', '页码，从 0 开始'),
+          default: 0,
+        },
+        unreadOnly: {
+          type: 'boolean',
+          description: t('Approximate unread filter: Habitica only keeps an unread count, so this shows that many of the newest received messages on page 0 (may be wrong if messages were read out of order or the count is stale)',
+            '近似的未读筛选: Habitica 只记录未读数量，因此显示第 0 页中最新收到的相应数量的消息 (消息未按顺序阅读或数量过时时可能不准确)'),
+          default: false,
+        },
+        ...outputProperties,
+      },
+    },
+  },
+  {
+    name: 'send_private_message',
+    description: t('Send a private message to another user', '向其他用户发送私信'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        toUserId: {
+          type: 'string',
+          description: t('Recipient user ID', '收件人用户ID'),
+        },
+        message: {
+          type: 'string',
+          description: t('Message text', '消息内容'),
+        },
+      },
+      required: ['toUserId', 'message'],
+    },
+  },
+  {
+    name: 'delete_private_message',
+    description: t('Delete a private message', '删除私信'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: {
+          type: 'string',
+          description: t('Message ID', '消息ID'),
+        },
+      },
+      required: ['messageId'],
+    },
+  },
+  {
+    name: 'mark_inbox_read',
+    description: t('Mark all private messages as read', '将所有私信标记为已读'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+];
+
+// 創建 MCP 服務器並註冊工具，credentials 為此會話綁定的 Habitica 憑證
+// （工具以 JSON Schema 定義，因此直接使用底層 Server 處理 tools/list 與 tools/call）
+function createMcpServer(credentials) {
+  const mcpServer = new McpServer({
+    name: 'habitica-mcp-server',
+    version: '0.0.5',
+  });
+  
+  // 取得底層 Server 實例用於高級操作
+  const server = mcpServer.server;
+  
+  server.registerCapabilities({ tools: {} });
+  
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+    })),
+  }));
+  
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    
+    if (!tools.some(tool => tool.name === name)) {
+      throw new McpError(ErrorCode.InvalidParams, t(`Unknown tool: ${name}`, `未知工具: ${name}`));
+    }
+    
+    const resolvedCredentials = resolveCredentials(credentials);
+    
+    try {
+      // 使用工具名稱調用相應的處理函數
+      return withRateLimitBudget(await handleToolCall(name, args, resolvedCredentials), resolvedCredentials?.userId);
+    } catch (error) {
+      return withRateLimitBudget({
+        content: [
+          {
+            type: 'text',
+            text: error.message,
+          },
+        ],
+        isError: true,
+      }, resolvedCredentials?.userId);
+    }
+  });
+  
+  return mcpServer;
+}
+
+// 工具实现函数
+async function getUserProfile(habiticaClient, options = {}) {
+  const user = await getUser(habiticaClient, PROFILE_USER_FIELDS);
+  
+  return renderRecord(user, options, PROFILE_VIEW);
+}
+
+async function getTasks(habiticaClient, type, options = {}) {
+  const endpoint = type ? `/tasks/user?type=${type}` : '/tasks/user';
+  const [response, context] = await Promise.all([
+    habiticaClient.get(endpoint),
+    loadTaskContext(habiticaClient, options),
+  ]);
+  
+  return renderList(response.data.data || [], options, createTaskView(t('Tasks', '任务'), context));
+}
+
+function matchesText(task, text) {
+  const needle = text.toLowerCase();
+  return [task.text, task.notes, ...(task.checklist || []).map(item => item.text)]
+    .some(value => value?.toLowerCase().includes(needle));
+}
+
+async function searchTasks(habiticaClient, filters = {}) {
+  const { type, text, tags, dueBefore, dueAfter, status = 'incomplete', isDue, difficulty, minStreak, maxStreak } = filters;
+  const fetchCompletedTodos = status !== 'incomplete' && (!type || type === 'todo');
+  
+  const [tasksResponse, completedResponse, context] = await Promise.all([
+    habiticaClient.get('/tasks/user', { params: type ? { type: `${type}s` } : {} }),
+    fetchCompletedTodos ? habiticaClient.get('/tasks/user', { params: { type: 'completedTodos' } }) : undefined,
+    loadTaskContext(habiticaClient, filters, { needsTags: tags?.length > 0, needsPreferences: !!(dueBefore || dueAfter) }),
+  ]);
+  const { preferences } = context;
+  
+  let requiredTagIds = [];
+  if (tags?.length) {
+    requiredTagIds = tags.map(ref => {
+      const tag = context.tags.find(tag => tag.id === ref || tag.name.toLowerCase() === ref.toLowerCase());
+      if (!tag) {
+        throw new McpError(ErrorCode.InvalidParams, t(`Unknown tag: ${ref}`, `未知标签: ${ref}`));
+      }
+      return tag.id;
+    });
+  }
+  
+  const beforeDay = dueBefore ? resolveUserDate(dueBefore, preferences, 'dueBefore') : undefined;
+  const afterDay = dueAfter ? resolveUserDate(dueAfter, preferences, 'dueAfter') : undefined;
+  
+  // completedTodos 与默认列表可能重复，按 ID 去重
+  const taskMap = new Map();
+  [...(tasksResponse.data.data || []), ...(completedResponse?.data.data || [])]
+    .forEach(task => taskMap.set(task.id, task));
+  
+  const matches = [...taskMap.values()].filter(task => {
+    if (type && task.type !== type) return false;
+    if (status === 'completed' && !task.completed) return false;
+    if (status === 'incomplete' && task.completed) return false;
+    if (text && !matchesText(task, text)) return false;
+    if (requiredTagIds.some(tagId => !(task.tags || []).includes(tagId))) return false;
+    if (difficulty !== undefined && task.priority !== difficulty) return false;
+    if (isDue !== undefined && (task.type !== 'daily' || !!task.isDue !== isDue)) return false;
+    if ((minStreak !== undefined || maxStreak !== undefined) && task.type !== 'daily') return false;
+    if (minStreak !== undefined && (task.streak ?? 0) < minStreak) return false;
+    if (maxStreak !== undefined && (task.streak ?? 0) > maxStreak) return false;
+    if (beforeDay !== undefined || afterDay !== undefined) {
+      if (task.type !== 'todo' || !task.date) return false;
+      const dueDay = Date.parse(formatUserDate(task.date, preferences));
+      if (beforeDay !== undefined && dueDay > beforeDay) return false;
+      if (afterDay !== undefined && dueDay < afterDay) return false;
+    }
+    return true;
+  });
+  
+  return renderList(matches, filters, createTaskView(t('Matching tasks', '匹配的任务'), context));
+}
+
+// 习惯分析：根据 /tasks/user 返回的 history 计算连击、完成率、星期分布与分值趋势
+const ANALYSIS_WINDOWS = [7, 30, 90];
+const TREND_WINDOW = 30;
+const TREND_THRESHOLD = 0.5; // 分值变化小于此值视为持平
+
+function toPercent(done, total) {
+  return total > 0 ? Math.round((done / total) * 100) : null;
+}
+
+function formatPercent(percent) {
+  return percent === null ? '-' : `${percent}%`;
+}
+
+// 按用户时区的日期汇总历史记录：习惯为正/负向次数，日常为是否到期与是否完成
+function groupHistoryByDay(task, preferences, today) {
+  const days = new Map();
+  (task.history || []).forEach(entry => {
+    const timestamp = typeof entry.date === 'number' ? entry.date : Date.parse(entry.date);
+    if (Number.isNaN(timestamp)) return;
+    
+    // 日常的历史在每日结算时写入，记录的是前一天的完成情况
+    const day = getUserToday(preferences, timestamp) - (task.type === 'daily' ? DAY_MS : 0);
+    const summary = days.get(day) || { up: 0, down: 0, due: false, completed: false };
+    if (task.type === 'habit') {
+      summary.up += entry.scoredUp ?? 0;
+      summary.down += entry.scoredDown ?? 0;
+    } else {
+      summary.due = summary.due || entry.isDue !== false;
+      summary.completed = summary.completed || !!entry.completed;
+    }
+    days.set(day, summary);
+  });
+  
+  // 今天尚未结算，日常的状态取自任务本身
+  if (task.type === 'daily') {
+    days.set(today, { up: 0, down: 0, due: !!task.isDue, completed: !!task.completed });
+  }
+  return days;
+}
+
+function summarizeWindow(task, days, today, length) {
+  const entries = [...days.entries()].filter(([day]) => day > today - length * DAY_MS && day <= today);
+  
+  if (task.type === 'habit') {
+    const up = entries.reduce((sum, [, day]) => sum + day.up, 0);
+    const down = entries.reduce((sum, [, day]) => sum + day.down, 0);
+    const activeDays = entries.filter(([, day]) => day.up > 0).length;
+    return { up, down, activeDays, rate: toPercent(activeDays, length) };
+  }
+  
+  const due = entries.filter(([, day]) => day.due).length;
+  const completed = entries.filter(([, day]) => day.due && day.completed).length;
+  return { due, completed, rate: toPercent(completed, due) };
+}
+
+// 习惯按连续有正向记录的天数计算；日常按连续完成的到期日计算，跳过不到期的日子
+function computeStreaks(task, days, today) {
+  const sortedDays = [...days.keys()].sort((a, b) => a - b);
+  let best = 0;
+  let run = 0;
+  let previousDay;
+  
+  sortedDays.forEach(day => {
+    const summary = days.get(day);
+    if (task.type === 'habit') {
+      if (summary.up > 0) {
+        run = previousDay === day - DAY_MS ? run + 1 : 1;
+        previousDay = day;
+      } else {
+        run = 0;
+        previousDay = undefined;
+      }
+    } else if (summary.due) {
+      // 今天尚未完成不算中断
+      if (summary.completed) {
+        run += 1;
+      } else if (day !== today) {
+        run = 0;
+      }
+    }
+    best = Math.max(best, run);
+  });
+  
+  if (task.type === 'daily') {
+    return { current: task.streak ?? run, best: Math.max(best, task.streak ?? 0) };
+  }
+  // 习惯的当前连击截至今天或昨天
+  const current = previousDay !== undefined && previousDay >= today - DAY_MS ? run : 0;
+  return { current, best };
+}
+
+// 日常按完成率、习惯按净分 (正向 - 负向) 比较各星期
+function analyzeWeekdays(task, days, today) {
+  const weekdayKeys = Object.keys(WEEKDAY_NAMES);
+  const totals = weekdayKeys.map(() => ({ up: 0, down: 0, due: 0, completed: 0 }));
+  
+  days.forEach((summary, day) => {
+    if (day <= today - ANALYSIS_WINDOWS[ANALYSIS_WINDOWS.length - 1] * DAY_MS || day > today) return;
+    const total = totals[new Date(day).getUTCDay()];
+    total.up += summary.up;
+    total.down += summary.down;
+    if (summary.due) {
+      total.due += 1;
+      if (summary.completed) total.completed += 1;
+    }
+  });
+  
+  const scores = totals
+    .map((total, index) => ({
+      day: weekdayKeys[index],
+      score: task.type === 'habit'
+        ? (total.up || total.down ? total.up - total.down : null)
+        : toPercent(total.completed, total.due),
+    }))
+    .filter(entry => entry.score !== null);
+  
+  if (scores.length < 2 || scores.every(entry => entry.score === scores[0].score)) {
+    return { best: null, worst: null, byDay: Object.fromEntries(scores.map(entry => [entry.day, entry.score])) };
+  }
+  const sorted = [...scores].sort((a, b) => b.score - a.score);
+  return {
+    best: sorted[0].day,
+    worst: sorted[sorted.length - 1].day,
+    byDay: Object.fromEntries(scores.map(entry => [entry.day, entry.score])),
+  };
+}
+
+// 比较趋势窗口起点与当前的分值
+function analyzeTrend(task, preferences, today) {
+  const history = (task.history || [])
+    .map(entry => ({ day: getUserToday(preferences, typeof entry.date === 'number' ? entry.date : Date.parse(entry.date)), value: entry.value }))
+    .filter(entry => typeof entry.value === 'number' && entry.day > today - TREND_WINDOW * DAY_MS)
+    .sort((a, b) => a.day - b.day);
+  
+  if (history.length === 0) {
+    return { direction: null, change: null };
+  }
+  const change = Math.round(((task.value ?? 0) - history[0].value) * 100) / 100;
+  const direction = change > TREND_THRESHOLD ? 'rising' : (change < -TREND_THRESHOLD ? 'falling' : 'flat');
+  return { direction, change };
+}
+
+function analyzeTask(task, preferences, today) {
+  const days = groupHistoryByDay(task, preferences, today);
+  return {
+    id: task.id,
+    text: task.text,
+    type: task.type,
+    value: Math.round((task.value ?? 0) * 100) / 100,
+    streak: computeStreaks(task, days, today),
+    windows: Object.fromEntries(ANALYSIS_WINDOWS.map(length => [`${length}d`, summarizeWindow(task, days, today, length)])),
+    weekdays: analyzeWeekdays(task, days, today),
+    trend: analyzeTrend(task, preferences, today),
+  };
+}
+
+// 汇总全部日常的完成率与全部习惯的正负向次数
+function summarizeAnalyses(analyses) {
+  const dailies = analyses.filter(analysis => analysis.type === 'daily');
+  const habits = analyses.filter(analysis => analysis.type === 'habit');
+  
+  return {
+    dailies: Object.fromEntries(ANALYSIS_WINDOWS.map(length => {
+      const key = `${length}d`;
+      const due = dailies.reduce((sum, analysis) => sum + analysis.windows[key].due, 0);
+      const completed = dailies.reduce((sum, analysis) => sum + analysis.windows[key].completed, 0);
+      return [key, { due, completed, rate: toPercent(completed, due) }];
+    })),
+    habits: Object.fromEntries(ANALYSIS_WINDOWS.map(length => {
+      const key = `${length}d`;
+      return [key, {
+        up: habits.reduce((sum, analysis) => sum + analysis.windows[key].up, 0),
+        down: habits.reduce((sum, analysis) => sum + analysis.windows[key].down, 0),
+      }];
+    })),
+  };
+}
+
+function formatWeekday(key) {
+  return key ? t(WEEKDAY_NAMES[key][0], WEEKDAY_NAMES[key][1]) : '-';
+}
+
+const TREND_LABELS = {
+  rising: ['rising', '上升'],
+  falling: ['falling', '下降'],
+  flat: ['flat', '持平'],
+};
+
+function formatTaskAnalysis(analysis) {
+  const windows = ANALYSIS_WINDOWS.map(length => {
+    const window = analysis.windows[`${length}d`];
+    return analysis.type === 'habit'
+      ? `${length}d +${window.up}/-${window.down} (${formatPercent(window.rate)})`
+      : `${length}d ${window.completed}/${window.due} (${formatPercent(window.rate)})`;
+  }).join(' | ');
+  const trend = analysis.trend.direction
+    ? `${t(...TREND_LABELS[analysis.trend.direction])} (${analysis.trend.change > 0 ? '+' : ''}${analysis.trend.change})`
+    : '-';
+  
+  return [
+    `- ${analysis.text} (${analysis.type}, ID: ${analysis.id})`,
+    `  ${t('Streak', '连击')}: ${analysis.streak.current} (${t('best', '最佳')} ${analysis.streak.best}) | ${windows}`,
+    `  ${t('Best weekday', '最佳星期')}: ${formatWeekday(analysis.weekdays.best)} | ${t('Worst weekday', '最差星期')}: ${formatWeekday(analysis.weekdays.worst)} | ${t('Value trend', '分值趋势')}: ${trend}`,
+  ].join('\n');
+}
+
+async function analyzeHabits(habiticaClient, { type, taskIds } = {}) {
+  const [tasksResponse, preferences] = await Promise.all([
+    habiticaClient.get('/tasks/user', { params: type ? { type: `${type}s` } : {} }),
+    getUserPreferences(habiticaClient),
+  ]);
+  const tasks = (tasksResponse.data.data || [])
+    .filter(task => task.type === 'habit' || task.type === 'daily')
+    .filter(task => !taskIds?.length || taskIds.includes(task.id) || taskIds.includes(task.alias));
+  
+  if (taskIds?.length) {
+    const missing = taskIds.filter(id => !tasks.some(task => task.id === id || task.alias === id));
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, t(`Habits or dailies not found: ${missing.join(', ')}`, `未找到习惯或日常: ${missing.join(', ')}`));
+    }
+  }
+  
+  const today = getUserToday(preferences);
+  const analyses = tasks.map(task => analyzeTask(task, preferences, today));
+  const overall = summarizeAnalyses(analyses);
+  const asOf = new Date(today).toISOString().slice(0, 10);
+  
+  const lines = [
+    t(`Habit analysis as of ${asOf} (${analyses.length} habits and dailies):`, `习惯分析 (截至 ${asOf}，共 ${analyses.length} 个习惯和日常):`),
+    `${t('Dailies completion', '日常完成率')}: ${ANALYSIS_WINDOWS.map(length => `${length}d ${formatPercent(overall.dailies[`${length}d`].rate)}`).join(' | ')}`,
+    `${t('Habits scored', '习惯记录')}: ${ANALYSIS_WINDOWS.map(length => `${length}d +${overall.habits[`${length}d`].up}/-${overall.habits[`${length}d`].down}`).join(' | ')}`,
+    ...analyses.map(formatTaskAnalysis),
+  ];
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: analyses.length > 0 ? lines.join('\n') : t('No habits or dailies found', '未找到习惯或日常'),
+      },
+      {
+        type: 'text',
+        text: JSON.stringify({ asOf, windows: ANALYSIS_WINDOWS, overall, tasks: analyses }, null, 2),
+      },
+    ],
+  };
+}
+
+// 本地快照：Habitica 会清理较早的已完成待办且不提供历史属性，定时以及修改类工具调用后记录
+const snapshotStore = createSnapshotStore('snapshots', { retentionDays: SNAPSHOT_RETENTION_DAYS });
+const SNAPSHOT_STAT_FIELDS = ['lvl', 'exp', 'gp', 'hp', 'mp', 'maxHealth', 'maxMP', 'toNextLevel'];
+const SNAPSHOT_TASK_FIELDS = ['id', 'type', 'text', 'value', 'completed', 'streak', 'counterUp', 'counterDown'];
+const SNAPSHOT_TARGET_TTL = 24 * 60 * 60 * 1000; // 超过此时间未使用的凭证不再定时快照
+
+// 最近使用过的凭证：用户 ID -> { apiToken, lastSeen }；只在启用 SNAPSHOT_SESSION_CREDENTIALS 时记录请求传入的凭证
+const snapshotTargets = new Map();
+// 用户 ID -> 最近一次记录快照的时间
+const lastSnapshotAt = new Map();
+
+function rememberSnapshotTarget(userId, apiToken) {
+  snapshotTargets.set(userId, { apiToken, lastSeen: Date.now() });
+}
+
+function buildSnapshot(reason, stats = {}, tasks = [], completedTodos = []) {
+  return {
+    reason,
+    stats: pickDefined(stats, SNAPSHOT_STAT_FIELDS),
+    tasks: tasks.map(task => pickDefined(task, SNAPSHOT_TASK_FIELDS)),
+    completedTodos: completedTodos.map(task => pickDefined(task, ['id', 'text', 'dateCompleted'])),
+  };
+}
+
+async function recordSnapshot(habiticaClient, userId, reason) {
+  const [user, tasksResponse, completedResponse] = await Promise.all([
+    getUser(habiticaClient, ['stats']),
+    habiticaClient.get('/tasks/user'),
+    habiticaClient.get('/tasks/user', { params: { type: 'completedTodos' } }),
+  ]);
+  const snapshot = await snapshotStore.append(userId, buildSnapshot(reason, user.stats, tasksResponse.data.data, completedResponse.data.data));
+  lastSnapshotAt.set(userId, Date.now());
+  return snapshot;
+}
+
+// 修改类工具调用后记录快照；距上次快照不足 SNAPSHOT_MIN_INTERVAL 或 Habitica 额度将尽时跳过，快照失败不影响工具结果
+async function recordSnapshotAfterMutation(habiticaClient, userId, toolName) {
+  const now = Date.now();
+  if (now - (lastSnapshotAt.get(userId) || 0) < SNAPSHOT_MIN_INTERVAL) {
+    return;
+  }
+  const budget = getRateLimitBudget(userId);
+  if (budget && budget.remaining <= LOW_RATE_LIMIT_REMAINING) {
+    return;
+  }
+  // 先占用时间，并发的修改类调用不会各自再读取一次
+  lastSnapshotAt.set(userId, now);
+  try {
+    await recordSnapshot(habiticaClient, userId, toolName);
+  } catch (error) {
+    console.error(`记录快照失败 (${userId}): ${error.message}`);
+  }
+}
+
+// 定时快照：默认凭证以及最近使用过的凭证，距上次快照不足半个间隔的跳过
+let scheduledSnapshotsRunning = false;
+
+async function takeScheduledSnapshots() {
+  if (scheduledSnapshotsRunning) return;
+  scheduledSnapshotsRunning = true;
+  try {
+    if (hasDefaultCredentials()) {
+      rememberSnapshotTarget(HABITICA_USER_ID, HABITICA_API_TOKEN);
+    }
+    for (const [userId, { apiToken, lastSeen }] of snapshotTargets) {
+      const now = Date.now();
+      if (now - lastSeen > SNAPSHOT_TARGET_TTL) {
+        snapshotTargets.delete(userId);
+        continue;
+      }
+      if (now - (lastSnapshotAt.get(userId) || 0) < SNAPSHOT_INTERVAL / 2) {
+        continue;
+      }
+      try {
+        await recordSnapshot(createHabiticaClient(userId, apiToken), userId, 'schedule');
+      } catch (error) {
+        console.error(`记录定时快照失败 (${userId}): ${error.message}`);
+      }
+    }
+  } finally {
+    scheduledSnapshotsRunning = false;
+  }
+}
+
+if (SNAPSHOT_INTERVAL > 0) {
+  setInterval(takeScheduledSnapshots, SNAPSHOT_INTERVAL).unref();
+}
+
+async function getStatHistory(habiticaClient, userId, { from, to, resolution = 'all', ...options } = {}) {
+  const preferences = await getUserPreferences(habiticaClient);
+  const today = getUserToday(preferences);
+  
+  const parseDay = (value, fallback) => {
+    if (value === undefined) return fallback;
+    const day = parseUserDate(value, preferences);
+    if (day === undefined) {
+      throw new McpError(ErrorCode.InvalidParams, t(`Cannot understand date "${value}"`, `无法识别日期 "${value}"`));
+    }
+    return day;
+  };
+  const fromDay = parseDay(from, today - 30 * DAY_MS);
+  const toDay = parseDay(to, today);
+  if (fromDay > toDay) {
+    throw new McpError(ErrorCode.InvalidParams, t('from must not be after to', 'from 不能晚于 to'));
+  }
+  
+  const snapshots = await snapshotStore.read(userId, {
+    from: Date.parse(toUserInstant(fromDay, preferences)),
+    to: Date.parse(toUserInstant(toDay + DAY_MS, preferences)) - 1,
+  });
+  let entries = snapshots.map(snapshot => ({ at: snapshot.at, reason: snapshot.reason, ...snapshot.stats }));
+  if (resolution === 'day') {
+    const lastOfDay = new Map();
+    entries.forEach(entry => lastOfDay.set(getUserToday(preferences, Date.parse(entry.at)), entry));
+    entries = [...lastOfDay.values()];
+  }
+  
+  const result = renderList(entries, options, STAT_HISTORY_VIEW);
+  if (entries.length > 1) {
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const change = (field) => formatSigned(roundStat((last[field] ?? 0) - (first[field] ?? 0)));
+    result.content.unshift({
+      type: 'text',
+      text: `${formatDay(fromDay)} – ${formatDay(toDay)}: ${t('Level', '等级')} ${first.lvl ?? '-'} → ${last.lvl ?? '-'} | `
+        + `${t('XP', '经验')} ${formatSigned(roundStat(getExperienceGained(first, last)))} | ${t('Gold', '金币')} ${change('gp')} | `
+        + `${t('HP', '生命')} ${change('hp')} | ${t('MP', '魔法')} ${change('mp')}`,
+    });
+  }
+  return result;
+}
+
+// 生产力报告：按日/周/月汇总已完成的待办、日常完成率、习惯正负向记录与属性变化
+// 用户时区中包含 day 的报告周期 [start, end]，周从周一开始
+function getReportRange(period, day) {
+  const date = new Date(day);
+  if (period === 'day') {
+    return { start: day, end: day };
+  }
+  if (period === 'week') {
+    const start = day - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    return { start, end: start + 6 * DAY_MS };
+  }
+  const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  return { start, end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - DAY_MS };
+}
+
+// Habitica 升到下一级所需经验
+function getExperienceToNextLevel(level) {
+  return Math.round((level ** 2 * 0.25 + 10 * level + 139.75) / 10) * 10;
+}
+
+// 两次属性快照之间获得的经验（跨越升级时累加各级所需经验）
+function getExperienceGained(from, to) {
+  if ((to.lvl ?? 0) <= (from.lvl ?? 0)) {
+    return (to.exp ?? 0) - (from.exp ?? 0);
+  }
+  let gained = getExperienceToNextLevel(from.lvl) - (from.exp ?? 0);
+  for (let level = from.lvl + 1; level < to.lvl; level++) {
+    gained += getExperienceToNextLevel(level);
+  }
+  return gained + (to.exp ?? 0);
+}
+
+// 属性变化取自本地快照：周期开始时或之前最近的快照，否则取周期内最早的快照
+// 进行中的周期以当前属性为终点，已结束的周期以结束后最早的快照为终点（没有则同样用当前属性）
+function findStatChange(snapshots, range, preferences, today, currentStats) {
+  const startAt = Date.parse(toUserInstant(range.start, preferences));
+  const endAt = Date.parse(toUserInstant(range.end + DAY_MS, preferences));
+  const from = snapshots.filter(snapshot => Date.parse(snapshot.at) <= startAt).pop()
+    || snapshots.find(snapshot => Date.parse(snapshot.at) < endAt);
+  if (!from) {
+    return undefined;
+  }
+  
+  const next = range.end >= today ? undefined : snapshots.find(snapshot => Date.parse(snapshot.at) >= endAt);
+  const to = next ? next.stats : currentStats;
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    since: formatUserDate(from.at, preferences),
+    until: next ? formatUserDate(next.at, preferences) : t('now', '现在'),
+    exp: round(getExperienceGained(from.stats, to)),
+    gp: round((to.gp ?? 0) - (from.stats.gp ?? 0)),
+    hp: round((to.hp ?? 0) - (from.stats.hp ?? 0)),
+    levelUps: Math.max(0, (to.lvl ?? 0) - (from.stats.lvl ?? 0)),
+  };
+}
+
+function formatSigned(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+// 某用户的报告文件保存目录，可透过 HABITICA_REPORT_DIR 覆写
+function getReportDir(userId) {
+  return getUserDir(process.env.HABITICA_REPORT_DIR || path.join(getDataDir(), 'reports'), userId);
+}
+
+async function generateReport(habiticaClient, userId, { period = 'week', date, saveToFile = false } = {}) {
+  if (!REPORT_PERIODS.includes(period)) {
+    throw new McpError(ErrorCode.InvalidParams, t(`period must be one of ${REPORT_PERIODS.join(', ')}`, `period 必须是 ${REPORT_PERIODS.join(', ')} 之一`));
+  }
+  
+  const [tasksResponse, completedResponse, user] = await Promise.all([
+    habiticaClient.get('/tasks/user'),
+    habiticaClient.get('/tasks/user', { params: { type: 'completedTodos' } }),
+    getUser(habiticaClient, ['stats', 'preferences']),
+  ]);
+  const preferences = user.preferences || {};
+  const today = getUserToday(preferences);
+  
+  const day = date ? parseUserDate(date, preferences) : today;
+  if (day === undefined) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Cannot understand date "${date}"`, `无法识别日期 "${date}"`));
+  }
+  const range = getReportRange(period, day);
+  if (range.start > today) {
+    throw new McpError(ErrorCode.InvalidParams, t('The report period has not started yet', '报告周期尚未开始'));
+  }
+  const lastDay = Math.min(range.end, today);
+  const inRange = value => value >= range.start && value <= lastDay;
+  
+  const tasks = tasksResponse.data.data || [];
+  const snapshots = await snapshotStore.read(userId);
+  
+  // Habitica 会清理较早的已完成待办，快照中记录过的一并计入
+  const completedById = new Map();
+  [...snapshots.flatMap(snapshot => snapshot.completedTodos || []), ...(completedResponse.data.data || [])]
+    .forEach(task => completedById.set(task.id, task));
+  const completedTodos = [...completedById.values()]
+    .filter(task => task.dateCompleted && inRange(getUserToday(preferences, Date.parse(task.dateCompleted))))
+    .sort((a, b) => Date.parse(a.dateCompleted) - Date.parse(b.dateCompleted));
+  
+  const summarizeDays = task => [...groupHistoryByDay(task, preferences, today).entries()]
+    .filter(([historyDay]) => inRange(historyDay))
+    .map(([, summary]) => summary);
+  
+  const dailies = tasks.filter(task => task.type === 'daily').map(task => {
+    const days = summarizeDays(task).filter(summary => summary.due);
+    return { text: task.text, due: days.length, completed: days.filter(summary => summary.completed).length };
+  });
+  const dailyDue = dailies.reduce((sum, daily) => sum + daily.due, 0);
+  const dailyCompleted = dailies.reduce((sum, daily) => sum + daily.completed, 0);
+  
+  const habits = tasks.filter(task => task.type === 'habit').map(task => {
+    const days = summarizeDays(task);
+    return {
+      text: task.text,
+      up: days.reduce((sum, summary) => sum + summary.up, 0),
+      down: days.reduce((sum, summary) => sum + summary.down, 0),
+    };
+  });
+  const habitUp = habits.reduce((sum, habit) => sum + habit.up, 0);
+  const habitDown = habits.reduce((sum, habit) => sum + habit.down, 0);
+  
+  const statChange = findStatChange(snapshots, range, preferences, today, user.stats || {});
+  
+  const periodNames = { day: t('Daily', '每日'), week: t('Weekly', '每周'), month: t('Monthly', '每月') };
+  const rangeText = range.start === range.end ? formatDay(range.start) : `${formatDay(range.start)} – ${formatDay(range.end)}`;
+  const dailyRate = toPercent(dailyCompleted, dailyDue);
+  
+  const lines = [
+    `# ${t(`Habitica ${periodNames[period].toLowerCase()} report`, `Habitica ${periodNames[period]}报告`)}: ${rangeText}`,
+    '',
+    `## ${t('Summary', '概览')}`,
+    `- ${t('Completed todos', '已完成待办')}: ${completedTodos.length}`,
+    `- ${t('Dailies completed', '日常完成率')}: ${formatPercent(dailyRate)} (${dailyCompleted}/${dailyDue})`,
+    `- ${t('Habits scored', '习惯记录')}: +${habitUp} / -${habitDown}`,
+    statChange
+      ? `- ${statChange.since} → ${statChange.until}: ${t('XP', '经验')} ${formatSigned(statChange.exp)} | ${t('Gold', '金币')} ${formatSigned(statChange.gp)} | ${t('HP', '生命')} ${formatSigned(statChange.hp)} | ${t('Level-ups', '升级')} ${statChange.levelUps}`
+      : `- ${t('XP / Gold / HP changes: no earlier snapshot yet; they appear once one is recorded', '经验 / 金币 / 生命变化: 暂无更早的快照，记录快照后才会显示')}`,
+    `- ${t('Current', '当前')}: ${t('Level', '等级')} ${user.stats?.lvl ?? '-'} | ${t('XP', '经验')} ${roundStat(user.stats?.exp ?? 0)} | ${t('Gold', '金币')} ${roundStat(user.stats?.gp ?? 0)} | ${t('HP', '生命')} ${roundStat(user.stats?.hp ?? 0)}`,
+    '',
+    `## ${t('Completed todos', '已完成待办')}`,
+    ...(completedTodos.length > 0
+      ? completedTodos.map(task => `- ${task.text} (${formatUserDate(task.dateCompleted, preferences)})`)
+      : [`- ${t('None', '无')}`]),
+    '',
+    `## ${t('Dailies', '日常')}`,
+    ...(dailies.length > 0
+      ? [
+        `| ${t('Daily', '日常')} | ${t('Completed', '完成')} | ${t('Rate', '完成率')} |`,
+        '| --- | --- | --- |',
+        ...dailies.map(daily => `| ${daily.text.replace(/\|/g, '\\|')} | ${daily.completed}/${daily.due} | ${formatPercent(toPercent(daily.completed, daily.due))} |`),
+      ]
+      : [`- ${t('None', '无')}`]),
+    '',
+    `## ${t('Habits', '习惯')}`,
+    ...(habits.length > 0
+      ? [
+        `| ${t('Habit', '习惯')} | + | - |`,
+        '| --- | --- | --- |',
+        ...habits.map(habit => `| ${habit.text.replace(/\|/g, '\\|')} | ${habit.up} | ${habit.down} |`),
+      ]
+      : [`- ${t('None', '无')}`]),
+  ];
+  const report = lines.join('\n');
+  
+  const content = [
+    {
+      type: 'text',
+      text: report,
+    },
+  ];
+  
+  if (saveToFile) {
+    const filePath = path.join(getReportDir(userId), `${period}-${formatDay(range.start)}.md`);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, `${report}\n`);
+    content.push({
+      type: 'text',
+      text: t(`Report saved to ${filePath}`, `报告已保存到 ${filePath}`),
+    });
+  }
+  
+  return { content };
+}
+
+// 账号导出与导入：导出任务、标签、清单、挑战成员资格和物品栏摘要，导入时按名称重新映射标签
+const EXPORT_FORMAT = 'habitica-mcp-export';
+const EXPORT_VERSION = 1;
+const EXPORT_EXTENSIONS = { json: 'json', csv: 'csv', markdown: 'md' };
+const TASK_CSV_COLUMNS = ['id', 'type', 'text', 'notes', 'priority', 'tags', 'value', 'completed', 'streak', 'date', 'checklist'];
+
+// 导出文件保存目录，可透过 HABITICA_EXPORT_DIR 覆写
+function getExportDir(userId) {
+  return getUserDir(process.env.HABITICA_EXPORT_DIR || path.join(getDataDir(), 'exports'), userId);
+}
+
+// 导出的任务字段与恢复已删除任务时相同，另保留 ID、连击、完成状态与所属挑战
+function toExportTask(task) {
+  return {
+    id: task.id,
+    ...buildTaskPayload(task),
+    ...pickDefined(task, ['streak', 'completed']),
+    ...(task.challenge?.id ? { challenge: { id: task.challenge.id, shortName: task.challenge.shortName } } : {}),
+  };
+}
+
+function summarizeInventory(user) {
+  const items = user.items || {};
+  const summary = {};
+  INVENTORY_CATEGORIES.forEach(category => {
+    const entries = flattenInventory(items, category);
+    summary[category] = { kinds: entries.length, total: entries.reduce((sum, item) => sum + item.quantity, 0) };
+  });
+  return {
+    gold: roundStat(user.stats?.gp ?? 0),
+    gems: (user.balance ?? 0) * 4,
+    ...summary,
+    pets: Object.values(items.pets || {}).filter(value => value > 0).length,
+    mounts: Object.values(items.mounts || {}).filter(Boolean).length,
+    currentPet: items.currentPet || undefined,
+    currentMount: items.currentMount || undefined,
+  };
+}
+
+function formatCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatChecklist(task, separator) {
+  return (task.checklist || []).map(item => `[${item.completed ? 'x' : ' '}] ${item.text}`).join(separator);
+}
+
+function formatTasksCsv(tasks, tagNames) {
+  const rows = tasks.map(task => ({
+    ...task,
+    tags: (task.tags || []).map(id => tagNames.get(id) || id).join('; '),
+    checklist: formatChecklist(task, '; '),
+  }));
+  return [
+    TASK_CSV_COLUMNS.join(','),
+    ...rows.map(row => TASK_CSV_COLUMNS.map(column => formatCsvField(row[column])).join(',')),
+  ].join('\n');
+}
+
+function formatTasksMarkdown(data, tagNames) {
+  const sections = [
+    ['habit', t('Habits', '习惯')],
+    ['daily', t('Dailies', '日常')],
+    ['todo', t('Todos', '待办')],
+    ['reward', t('Rewards', '奖励')],
+  ];
+  const lines = [`# ${t(`Habitica tasks of ${data.user.username || data.user.id}`, `${data.user.username || data.user.id} 的 Habitica 任务`)} (${data.exportedAt})`];
+  
+  sections.forEach(([type, title]) => {
+    const tasks = data.tasks.filter(task => task.type === type);
+    lines.push('', `## ${title} (${tasks.length})`);
+    tasks.forEach(task => {
+      const marker = type === 'daily' || type === 'todo' ? `[${task.completed ? 'x' : ' '}] ` : '';
+      const details = [
+        ...(task.tags || []).map(id => `#${tagNames.get(id) || id}`),
+        type === 'reward' ? t(`${task.value} gold`, `${task.value} 金币`) : undefined,
+        type === 'daily' && task.streak ? t(`streak ${task.streak}`, `连击 ${task.streak}`) : undefined,
+        task.date ? t(`due ${task.date.slice(0, 10)}`, `截止 ${task.date.slice(0, 10)}`) : undefined,
+      ].filter(Boolean);
+      lines.push(`- ${marker}${task.text}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+      if (task.notes) {
+        lines.push(`  > ${task.notes.replace(/\n/g, '\n  > ')}`);
+      }
+      (task.checklist || []).forEach(item => lines.push(`  - [${item.completed ? 'x' : ' '}] ${item.text}`));
+    });
+  });
+  
+  const completedTodos = data.completedTodos || [];
+  lines.push('', `## ${t('Completed todos', '已完成待办')} (${completedTodos.length})`);
+  completedTodos.forEach(task => {
+    const completedAt = task.dateCompleted ? ` (${t(`completed ${task.dateCompleted.slice(0, 10)}`, `完成于 ${task.dateCompleted.slice(0, 10)}`)})` : '';
+    lines.push(`- [x] ${task.text}${completedAt}`);
+  });
+  return lines.join('\n');
+}
+
+async function exportAccount(habiticaClient, userId, { format = 'json', saveToFile = false } = {}) {
+  if (!EXPORT_EXTENSIONS[format]) {
+    throw new McpError(ErrorCode.InvalidParams, t(`format must be one of ${Object.keys(EXPORT_EXTENSIONS).join(', ')}`, `format 必须是 ${Object.keys(EXPORT_EXTENSIONS).join(', ')} 之一`));
+  }
+  
+  const [user, tasksResponse, completedResponse, tagsResponse, challengesResponse] = await Promise.all([
+    getUser(habiticaClient, ['auth.local.username', 'stats', 'balance', 'items']),
+    habiticaClient.get('/tasks/user'),
+    habiticaClient.get('/tasks/user', { params: { type: 'completedTodos' } }),
+    habiticaClient.get('/tags'),
+    habiticaClient.get('/challenges/user', { params: { member: true } }),
+  ]);
+  
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: { id: userId, username: user.auth?.local?.username },
+    tags: (tagsResponse.data.data || []).map(tag => ({ id: tag.id, name: tag.name })),
+    tasks: (tasksResponse.data.data || []).map(toExportTask),
+    // 已完成的待办（Habitica 只保留最近的一部分）仅供留存，import_tasks 不会导入
+    completedTodos: (completedResponse.data.data || []).map(task => ({ ...toExportTask(task), dateCompleted: task.dateCompleted })),
+    challenges: (challengesResponse.data.data || []).map(challenge => ({
+      id: challenge._id || challenge.id,
+      name: challenge.name,
+      shortName: challenge.shortName,
+      group: challenge.group?.name,
+    })),
+    inventory: summarizeInventory(user),
+  };
+  
+  const tagNames = new Map(data.tags.map(tag => [tag.id, tag.name]));
+  const output = format === 'csv'
+    ? formatTasksCsv([...data.tasks, ...data.completedTodos], tagNames)
+    : format === 'markdown' ? formatTasksMarkdown(data, tagNames) : JSON.stringify(data, null, 2);
+  
+  const summary = t(`Exported ${data.tasks.length} tasks, ${data.completedTodos.length} completed todos, ${data.tags.length} tags and ${data.challenges.length} challenge memberships`,
+    `已导出 ${data.tasks.length} 个任务、${data.completedTodos.length} 个已完成待办、${data.tags.length} 个标签和 ${data.challenges.length} 个挑战成员资格`);
+  
+  if (saveToFile) {
+    const fileName = `account-${data.exportedAt.replace(/[:.]/g, '-')}.${EXPORT_EXTENSIONS[format]}`;
+    const filePath = path.join(getExportDir(userId), fileName);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, `${output}\n`);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${summary}\n${t(`Saved to ${filePath}`, `已保存到 ${filePath}`)}${format === 'json'
+            ? `\n${t(`Import it with import_tasks file="${fileName}"`, `可使用 import_tasks file="${fileName}" 导入`)}`
+            : ''}`,
+        },
+      ],
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `${summary}:`,
+      },
+      {
+        type: 'text',
+        text: output,
+      },
+    ],
+  };
+}
+
+// 读取 export_account 的 JSON 导出：data 为对象或 JSON 字符串，file 为导出目录中的文件名
+async function loadAccountExport(userId, { data, file }) {
+  if ((data === undefined) === (file === undefined)) {
+    throw new McpError(ErrorCode.InvalidParams, t('Provide either data or file', '请提供 data 或 file 其中之一'));
+  }
+  
+  let text = data;
+  if (file !== undefined) {
+    if (path.basename(file) !== file) {
+      throw new McpError(ErrorCode.InvalidParams, t('file must be a file name in the export directory', 'file 必须是导出目录中的文件名'));
+    }
+    try {
+      text = await fs.readFile(path.join(getExportDir(userId), file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new McpError(ErrorCode.InvalidParams, t(`Export file not found: ${file}`, `未找到导出文件: ${file}`));
+      }
+      throw error;
+    }
+  }
+  
+  let parsed = text;
+  if (typeof text === 'string') {
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      parsed = undefined;
+    }
+  }
+  if (parsed?.format !== EXPORT_FORMAT || !Array.isArray(parsed.tasks)) {
+    throw new McpError(ErrorCode.InvalidParams, t('Not a JSON export from export_account', '不是 export_account 导出的 JSON'));
+  }
+  return parsed;
+}
+
+const taskImportKey = task => `${task.type}:${String(task.text).trim().toLowerCase()}`;
+
+// 对比导出与当前账号，得出要创建的标签与任务；标签按名称（不区分大小写）匹配
+async function planTaskImport(habiticaClient, userId, { data, file, types, skipExisting = true }) {
+  const source = await loadAccountExport(userId, { data, file });
+  const [tasksResponse, tagsResponse] = await Promise.all([
+    habiticaClient.get('/tasks/user'),
+    habiticaClient.get('/tags'),
+  ]);
+  const existingTags = tagsResponse.data.data || [];
+  const existingKeys = new Set((tasksResponse.data.data || []).map(taskImportKey));
+  
+  const sourceTags = new Map((source.tags || []).map(tag => [tag.id, tag.name]));
+  const create = [];
+  const skipped = [];
+  source.tasks.forEach(task => {
+    if (types?.length && !types.includes(task.type)) return;
+    
+    if (task.challenge?.id) {
+      skipped.push({ task, reason: t('challenge task', '挑战任务') });
+    } else if (skipExisting && existingKeys.has(taskImportKey(task))) {
+      skipped.push({ task, reason: t('already exists', '已存在') });
+    } else {
+      create.push(task);
+    }
+  });
+  
+  const tagNames = [...new Set(create.flatMap(task => (task.tags || []).map(id => sourceTags.get(id)).filter(Boolean)))];
+  const findTag = name => existingTags.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+  
+  return {
+    source,
+    sourceTags,
+    create,
+    skipped,
+    matchedTags: tagNames.filter(name => findTag(name)),
+    newTags: tagNames.filter(name => !findTag(name)),
+  };
+}
+
+function describeImportTask(task, sourceTags) {
+  const tags = (task.tags || []).map(id => sourceTags.get(id)).filter(Boolean);
+  const checklist = task.checklist?.length ? t(`, ${task.checklist.length} checklist items`, `，${task.checklist.length} 个清单项`) : '';
+  return `[${task.type}] ${task.text}${tags.length > 0 ? ` (${tags.join(', ')})` : ''}${checklist}`;
+}
+
+function formatImportPlan(plan) {
+  const { source } = plan;
+  return [
+    t(`Import from ${source.user?.username || source.user?.id || '?'} (exported ${source.exportedAt}): ${plan.create.length} tasks to create, ${plan.skipped.length} skipped`,
+      `从 ${source.user?.username || source.user?.id || '?'} 的导出导入 (导出于 ${source.exportedAt}): 将创建 ${plan.create.length} 个任务，跳过 ${plan.skipped.length} 个`),
+    plan.newTags.length > 0 ? `${t('Tags to create', '将创建的标签')}: ${plan.newTags.join(', ')}` : undefined,
+    plan.matchedTags.length > 0 ? `${t('Existing tags reused', '沿用的现有标签')}: ${plan.matchedTags.join(', ')}` : undefined,
+    ...plan.create.map(task => `+ ${describeImportTask(task, plan.sourceTags)}`),
+    ...plan.skipped.map(({ task, reason }) => `= ${describeImportTask(task, plan.sourceTags)}: ${reason}`),
+  ].filter(Boolean).join('\n');
+}
+
+// 导入前一律返回差异预览（见 CONFIRMATION_PREVIEWS），确认后才写入
+async function importTasks(habiticaClient, userId, args) {
+  const plan = await planTaskImport(habiticaClient, userId, args);
+  
+  // 先创建缺失的标签，再将导出中的标签 ID 映射为当前账号的标签 ID
+  for (const name of plan.newTags) {
+    await habiticaClient.post('/tags', { name });
+  }
+  const tagIds = new Map((await habiticaClient.get('/tags')).data.data.map(tag => [tag.name.toLowerCase(), tag.id]));
+  const remapTags = task => (task.tags || [])
+    .map(id => plan.sourceTags.get(id))
+    .filter(Boolean)
+    .map(name => tagIds.get(name.toLowerCase()))
+    .filter(Boolean);
+  
+  const results = await runBatch(plan.create, async (task) => {
+    // 别名在账号内唯一，导入同一账号时会与原任务冲突，因此不随任务导入
+    const { alias, ...payload } = buildTaskPayload(task);
+    const response = await habiticaClient.post('/tasks/user', { ...payload, tags: remapTags(task) });
+    return { content: [{ type: 'text', text: response.data.data.id }] };
+  });
+  
+  const report = plan.create.length > 0
+    ? formatBatchReport(results, plan.create.map(task => describeImportTask(task, plan.sourceTags)))
+    : { content: [{ type: 'text', text: t('Nothing to import', '没有需要导入的任务') }] };
+  if (plan.newTags.length > 0) {
+    report.content.push({
+      type: 'text',
+      text: t(`Created tags: ${plan.newTags.join(', ')}`, `已创建标签: ${plan.newTags.join(', ')}`),
+    });
+  }
+  if (plan.skipped.length > 0) {
+    report.content.push({
+      type: 'text',
+      text: t(`Skipped ${plan.skipped.length} tasks (existing or challenge tasks)`, `跳过 ${plan.skipped.length} 个任务 (已存在或挑战任务)`),
+    });
+  }
+  return report;
+}
+
+async function createTask(habiticaClient, taskData) {
+  const payload = parseTaskInput(taskData);
+  const { details, preferences } = await resolveTaskFields(habiticaClient, payload, {
+    createMissingTags: taskData.createMissingTags === true,
+  });
+  const response = await habiticaClient.post('/tasks/user', payload);
+  const task = response.data.data;
+  
+  let message = `成功创建任务: ${task.text} (ID: ${task.id})`;
+  if (task.type === 'daily') {
+    message += `\n${t('Schedule', '重复')}: ${describeSchedule(task, preferences)}`;
+  }
+  details.forEach(detail => {
+    message += `\n${detail}`;
+  });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message,
+      },
+    ],
+  };
+}
+
+// 任务 ID 为 UUID；其他值视为别名，需向 Habitica 查询对应的 ID
+const TASK_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function resolveTaskId(habiticaClient, taskId) {
+  if (TASK_ID_PATTERN.test(taskId)) {
+    return taskId;
+  }
+  return (await fetchExistingTask(habiticaClient, taskId)).id;
+}
+
+async function scoreTask(habiticaClient, userId, taskRef, direction = 'up') {
+  // 依赖关系以任务 ID 记录，使用别名评分时先解析 ID
+  const taskId = await resolveTaskId(habiticaClient, taskRef);
+  
+  // 完成仍有未完成前置任务的待办时，依 TASK_DEPENDENCY_MODE 警告或拒绝
+  const blockers = direction === 'up' ? await findIncompleteBlockers(habiticaClient, userId, taskId) : [];
+  if (blockers.length > 0 && TASK_DEPENDENCY_MODE === 'block') {
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      t(`Task is blocked by incomplete tasks: ${formatBlockers(blockers)}`, `任务被未完成的前置任务阻挡: ${formatBlockers(blockers)}`)
+    );
+  }
+  
+  const response = await habiticaClient.post(`/tasks/${taskId}/score/${direction}`);
+  const result = response.data.data;
+  // 撤销时才读取任务，评分本身不需额外请求
+  await recordAction(userId, { action: 'score', taskId, direction });
+  
+  let message = blockers.length > 0
+    ? t(`Warning: still blocked by incomplete tasks: ${formatBlockers(blockers)}\n`, `警告: 仍有未完成的前置任务: ${formatBlockers(blockers)}\n`)
+    : '';
+  message += `任务完成! `;
+  if (result.exp) message += `获得 ${result.exp} 经验值 `;
+  if (result.gp) message += `获得 ${result.gp} 金币 `;
+  if (result.lvl) message += `升级到 ${result.lvl} 级! `;
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message,
+      },
+    ],
+  };
+}
+
+async function updateTask(habiticaClient, taskId, updates) {
+  // 修改重复设置、截止日期或提醒前需确认任务类型与现有频率
+  let existingTask;
+  if (hasScheduleFields(updates) || updates.date !== undefined || updates.reminders !== undefined) {
+    const existingResponse = await habiticaClient.get(`/tasks/${taskId}`);
+    existingTask = existingResponse.data.data;
+  }
+  
+  const payload = parseTaskUpdate(updates, existingTask);
+  const { details, preferences } = await resolveTaskFields(habiticaClient, payload, {
+    createMissingTags: updates.createMissingTags === true,
+    type: existingTask?.type,
+  });
+  const response = await habiticaClient.put(`/tasks/${taskId}`, payload);
+  const task = response.data.data;
+  
+  let message = `成功更新任务: ${task.text}`;
+  if (task.type === 'daily') {
+    message += `\n${t('Schedule', '重复')}: ${describeSchedule(task, preferences)}`;
+  }
+  details.forEach(detail => {
+    message += `\n${detail}`;
+  });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message,
+      },
+    ],
+  };
+}
+
+async function deleteTask(habiticaClient, userId, taskId) {
+  const snapshot = (await habiticaClient.get(`/tasks/${taskId}`)).data.data;
+  await habiticaClient.delete(`/tasks/${taskId}`);
+  await recordAction(userId, { action: 'delete_task', taskId, task: snapshot });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `成功删除任务 (ID: ${taskId})`,
+      },
+    ],
+  };
+}
+
+// 以有限并发执行批量操作，单项失败不影响其他项
+async function runBatch(items, worker, concurrency = BATCH_CONCURRENCY) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        const result = await worker(items[index], index);
+        results[index] = { ok: true, text: result.content.map(item => item.text).join('\n') };
+      } catch (error) {
+        results[index] = { ok: false, text: toMcpError(error).message };
+      }
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+  return results;
+}
+
+function validateBatch(items, field) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, t(`${field} must be a non-empty array`, `${field} 必须是非空数组`));
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      t(`${field} can contain at most ${MAX_BATCH_SIZE} items`, `${field} 最多包含 ${MAX_BATCH_SIZE} 项`)
+    );
+  }
+}
+
+// 生成逐项结果报告，全部失败时标记为错误
+function formatBatchReport(results, labels) {
+  const succeeded = results.filter(result => result.ok).length;
+  const failed = results.length - succeeded;
+  const lines = results.map((result, index) => {
+    const prefix = `${result.ok ? '✓' : '✗'} [${index + 1}] ${labels[index]}`;
+    return `${prefix}: ${result.text.replace(/\n/g, '\n    ')}`;
+  });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Batch finished: ${succeeded} succeeded, ${failed} failed`, `批量操作完成: ${succeeded} 个成功, ${failed} 个失败`),
+      },
+      {
+        type: 'text',
+        text: lines.join('\n'),
+      },
+    ],
+    ...(succeeded === 0 ? { isError: true } : {}),
+  };
+}
+
+// 并发创建同名新标签会产生重复标签，因此先统一创建缺失的标签
+async function createMissingBatchTags(habiticaClient, items) {
+  const tagRefs = [...new Set(items
+    .filter(item => item.createMissingTags === true && Array.isArray(item.tags))
+    .flatMap(item => item.tags))];
+  
+  if (tagRefs.length > 0) {
+    await resolveTagIds(habiticaClient, tagRefs, true);
+  }
+}
+
+async function batchCreateTasks(habiticaClient, tasks) {
+  validateBatch(tasks, 'tasks');
+  await createMissingBatchTags(habiticaClient, tasks);
+  
+  const results = await runBatch(tasks, task => createTask(habiticaClient, task));
+  return formatBatchReport(results, tasks.map(task => task.text ?? ''));
+}
+
+async function batchScoreTasks(habiticaClient, userId, items) {
+  validateBatch(items, 'items');
+  
+  const results = await runBatch(items, item => scoreTask(habiticaClient, userId, item.taskId, item.direction));
+  return formatBatchReport(results, items.map(item => item.taskId));
+}
+
+async function batchUpdateTasks(habiticaClient, updates) {
+  validateBatch(updates, 'updates');
+  await createMissingBatchTags(habiticaClient, updates);
+  
+  const results = await runBatch(updates, update => updateTask(habiticaClient, update.taskId, update));
+  return formatBatchReport(results, updates.map(update => update.taskId));
+}
+
+async function batchDeleteTasks(habiticaClient, userId, taskIds) {
+  validateBatch(taskIds, 'taskIds');
+  
+  const results = await runBatch(taskIds, taskId => deleteTask(habiticaClient, userId, taskId));
+  return formatBatchReport(results, taskIds);
+}
+
+// 记录操作，仅保留最近 MAX_JOURNAL_ENTRIES 条
+async function recordAction(userId, entry) {
+  await journalStore.update(userId, journal => {
+    journal.actions = [
+      ...(journal.actions || []),
+      { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry },
+    ].slice(-MAX_JOURNAL_ENTRIES);
+  });
+}
+
+async function removeAction(userId, actionId) {
+  await journalStore.update(userId, journal => {
+    journal.actions = (journal.actions || []).filter(entry => entry.id !== actionId);
+  });
+}
+
+// 重新创建任务时提交的内容（恢复已删除的任务与导入共用）
+function buildTaskPayload(snapshot) {
+  const payload = pickDefined(snapshot, TASK_RESTORE_FIELDS);
+  if (snapshot.checklist?.length) {
+    payload.checklist = snapshot.checklist.map(({ text, completed }) => ({ text, completed }));
+  }
+  if (snapshot.reminders?.length) {
+    payload.reminders = snapshot.reminders.map(({ startDate, time }) => ({ startDate, time }));
+  }
+  return payload;
+}
+
+// 按快照重新创建已删除的任务，任务 ID 会改变，依赖关系随之更新
+async function restoreTask(habiticaClient, userId, snapshot) {
+  const response = await habiticaClient.post('/tasks/user', buildTaskPayload(snapshot));
+  const task = response.data.data;
+  
+  await dependencyStore.update(userId, dependencies => {
+    Object.keys(dependencies).forEach(taskId => {
+      dependencies[taskId] = dependencies[taskId].map(id => id === snapshot.id ? task.id : id);
+    });
+    if (dependencies[snapshot.id]) {
+      dependencies[task.id] = dependencies[snapshot.id];
+      delete dependencies[snapshot.id];
+    }
+  });
+  return task;
+}
+
+// 撤销单条操作，返回说明；永远无法撤销的操作（购买等）返回 { undone: false }，撤销失败时抛出错误
+async function revertAction(habiticaClient, userId, entry) {
+  const { task } = entry;
+  
+  switch (entry.action) {
+    case 'score': {
+      const scored = await fetchTaskIfExists(habiticaClient, entry.taskId);
+      if (!scored) {
+        return { undone: false, text: t(`Scored task ${entry.taskId} no longer exists`, `被评分的任务 ${entry.taskId} 已不存在`) };
+      }
+      // 奖励的评分即购买，无法还原；习惯反向评分会扣生命且不退还经验与金币，不予撤销；待办与日常反向评分即取消勾选
+      if (scored.type === 'reward') {
+        return { undone: false, text: t(`Buying reward "${scored.text}" cannot be undone`, `无法撤销购买奖励 "${scored.text}"`) };
+      }
+      if (scored.type === 'habit') {
+        return {
+          undone: false,
+          text: t(`Scoring habit "${scored.text}" cannot be undone: scoring it the other way would cost HP without refunding XP or gold`,
+            `无法撤销对习惯 "${scored.text}" 的评分：反向评分会扣除生命且不会退还经验与金币`),
+        };
+      }
+      const direction = entry.direction === 'up' ? 'down' : 'up';
+      await habiticaClient.post(`/tasks/${entry.taskId}/score/${direction}`);
+      
+      return {
+        undone: true,
+        text: entry.direction === 'up'
+          ? t(`Unchecked "${scored.text}"`, `已取消完成 "${scored.text}"`)
+          : t(`Checked "${scored.text}" again`, `已重新完成 "${scored.text}"`),
+      };
+    }
+    
+    case 'delete_task': {
+      const restored = await restoreTask(habiticaClient, userId, task);
+      return {
+        undone: true,
+        text: t(`Restored task "${restored.text}" (new ID: ${restored.id}); streak and history are not restored`,
+          `已恢复任务 "${restored.text}" (新ID: ${restored.id})；连击与历史记录无法恢复`),
+      };
+    }
+    
+    case 'delete_checklist_item': {
+      if (!entry.item) {
+        return { undone: false, text: t('The deleted checklist item was not found in the snapshot', '快照中未找到被删除的清单项目') };
+      }
+      await habiticaClient.post(`/tasks/${entry.taskId}/checklist`, {
+        text: entry.item.text,
+        completed: entry.item.completed,
+      });
+      return {
+        undone: true,
+        text: t(`Restored checklist item "${entry.item.text}" to "${task.text}" (added at the end)`,
+          `已将清单项目 "${entry.item.text}" 恢复到 "${task.text}" (添加在末尾)`),
+      };
+    }
+    
+    case 'purchase':
+      return {
+        undone: false,
+        text: t(`Purchase of ${entry.itemKey} x${entry.quantity} cannot be undone`, `购买 ${entry.itemKey} x${entry.quantity} 无法撤销`),
+      };
+    
+    default:
+      return { undone: false, text: t(`Unknown action: ${entry.action}`, `未知操作: ${entry.action}`) };
+  }
+}
+
+// 只撤销最近一次操作；无法撤销的操作（如购买）说明原因后从日志移除，下次调用即可撤销更早的操作
+async function undoLastAction(habiticaClient, userId) {
+  const journal = await journalStore.read(userId);
+  const entry = (journal.actions || []).at(-1);
+  if (!entry) {
+    throw new McpError(ErrorCode.InvalidRequest, t('No actions to undo', '没有可撤销的操作'));
+  }
+  
+  // 撤销请求失败时抛出错误，日志保持不变，便于重试
+  const result = await revertAction(habiticaClient, userId, entry);
+  await removeAction(userId, entry.id);
+  
+  if (!result.undone) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: t(`Could not undo the most recent action: ${result.text}. It was removed from the journal; call undo_last_action again to undo the action before it`,
+            `无法撤销最近一次操作: ${result.text}。该操作已从日志移除，再次调用 undo_last_action 可撤销更早的操作`),
+        },
+      ],
+      isError: true,
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Undone: ${result.text}`, `已撤销: ${result.text}`),
+      },
+    ],
+  };
+}
+
+// 在游戏内容中查找物品价格，任务卷轴可能以金币定价，其余消耗品以宝石定价
+function findContentPrice(content, key) {
+  const gear = content.gear?.flat?.[key];
+  if (gear) {
+    return { text: gear.text, price: gear.value, currency: 'gold' };
+  }
+  if (['potion', 'armoire'].includes(key) && content[key]) {
+    return { text: content[key].text, price: content[key].value, currency: 'gold' };
+  }
+  
+  for (const category of ['eggs', 'hatchingPotions', 'premiumHatchingPotions', 'food', 'quests', 'special']) {
+    const item = content[category]?.[key];
+    if (item) {
+      return item.goldValue
+        ? { text: item.text, price: item.goldValue, currency: 'gold' }
+        : { text: item.text, price: item.value, currency: 'gems' };
+    }
+  }
+  return undefined;
+}
+
+function getBalance(user, currency) {
+  return currency === 'gems' ? Math.round((user.balance ?? 0) * 4) : roundStat(user.stats?.gp ?? 0);
+}
+
+function formatCost(user, label, price, currency, quantity = 1) {
+  if (price === undefined) {
+    return t(`${label}: price unknown`, `${label}: 价格未知`);
+  }
+  
+  const total = price * quantity;
+  const balance = getBalance(user, currency);
+  const currencyName = currency === 'gems' ? t('gems', '宝石') : t('gold', '金币');
+  let line = t(`${label}: costs ${total} ${currencyName} (current balance: ${balance})`,
+    `${label}: 花费 ${total} ${currencyName} (当前余额: ${balance})`);
+  if (total > balance) {
+    line += t(' - insufficient balance', ' - 余额不足');
+  }
+  return line;
+}
+
+function describeTaskForDeletion(task) {
+  const lines = [t(`Delete ${task.type} "${task.text}" (ID: ${task.id})`, `删除${task.type} "${task.text}" (ID: ${task.id})`)];
+  if (task.notes) {
+    lines.push(`  ${t('Notes', '备注')}: ${task.notes}`);
+  }
+  if (task.checklist?.length) {
+    lines.push(`  ${t('Checklist items', '清单项目')}: ${task.checklist.length}`);
+  }
+  if (task.streak) {
+    lines.push(`  ${t('Streak (will be lost)', '连击 (将丢失)')}: ${task.streak}`);
+  }
+  if (task.challenge?.id) {
+    lines.push(`  ${t('Challenge task', '挑战任务')}: ${task.challenge.id}`);
+  }
+  return lines.join('\n');
+}
+
+// 需确认工具的预览，返回操作说明文本
+const CONFIRMATION_PREVIEWS = {
+  delete_task: async (habiticaClient, { taskId }) => {
+    const task = await fetchExistingTask(habiticaClient, taskId);
+    return describeTaskForDeletion(task);
+  },
+  
+  batch_delete_tasks: async (habiticaClient, { taskIds = [] }) => {
+    const tasks = await Promise.all(taskIds.map(taskId => fetchTaskIfExists(habiticaClient, taskId)));
+    return tasks
+      .map((task, index) => task ? describeTaskForDeletion(task) : t(`Task not found: ${taskIds[index]}`, `未找到任务: ${taskIds[index]}`))
+      .join('\n');
+  },
+  
+  buy_reward: async (habiticaClient, { key }) => {
+    const [user, rewardsResponse] = await Promise.all([
+      getUser(habiticaClient, ['stats', 'balance']),
+      habiticaClient.get('/tasks/user', { params: { type: 'rewards' } }),
+    ]);
+    const reward = (rewardsResponse.data.data || []).find(task => task.id === key || task.alias === key);
+    if (reward) {
+      return formatCost(user, t(`Buy reward "${reward.text}"`, `购买奖励 "${reward.text}"`), reward.value, 'gold');
+    }
+    
+    const price = findContentPrice(await getContent(habiticaClient), key);
+    return formatCost(user, t(`Buy ${price?.text || key}`, `购买 ${price?.text || key}`), price?.price, price?.currency);
+  },
+  
+  buy_item: async (habiticaClient, { itemKey, quantity = 1 }) => {
+    const [user, content] = await Promise.all([getUser(habiticaClient, ['stats', 'balance']), getContent(habiticaClient)]);
+    const price = findContentPrice(content, itemKey);
+    return formatCost(
+      user,
+      t(`Buy ${price?.text || itemKey} x${quantity}`, `购买 ${price?.text || itemKey} x${quantity}`),
+      price?.price,
+      price?.currency,
+      quantity
+    );
+  },
+  
+  cast_spell: async (habiticaClient, { spellId, targetId }) => {
+    const [user, content] = await Promise.all([getUser(habiticaClient, ['stats']), getContent(habiticaClient)]);
+    const spell = content.spells?.[user.stats?.class]?.[spellId];
+    const mana = roundStat(user.stats?.mp ?? 0);
+    
+    const lines = [t(`Cast ${spell?.text || spellId}${targetId ? ` on ${targetId}` : ''}`, `施放 ${spell?.text || spellId}${targetId ? ` (目标 ${targetId})` : ''}`)];
+    if (spell) {
+      lines.push(t(`Mana cost: ${spell.mana} (current: ${mana})`, `法力消耗: ${spell.mana} (当前: ${mana})`));
+      if (spell.mana > mana) {
+        lines.push(t('Not enough mana', '法力不足'));
+      }
+    } else {
+      lines.push(t(`Spell not found for class ${user.stats?.class}; current mana: ${mana}`, `当前职业 ${user.stats?.class} 没有此技能；当前法力: ${mana}`));
+    }
+    return lines.join('\n');
+  },
+  
+  // 评分奖励即购买
+  score_task: async (habiticaClient, { taskId }) => {
+    const [reward] = await findRewardTasks(habiticaClient, [taskId]);
+    if (!reward) {
+      return undefined;
+    }
+    const user = await getUser(habiticaClient, ['stats']);
+    return formatCost(user, t(`Buy reward "${reward.text}"`, `购买奖励 "${reward.text}"`), reward.value, 'gold');
+  },
+  
+  batch_score_tasks: async (habiticaClient, { items = [] }) => {
+    const rewards = await findRewardTasks(habiticaClient, items.map(item => item.taskId));
+    if (rewards.length === 0) {
+      return undefined;
+    }
+    const user = await getUser(habiticaClient, ['stats']);
+    return rewards.map(reward => formatCost(user, t(`Buy reward "${reward.text}"`, `购买奖励 "${reward.text}"`), reward.value, 'gold')).join('\n');
+  },
+  
+  // 挑战的宝石奖励由创建者支付
+  create_challenge: async (habiticaClient, { name, prize = 0 }) => {
+    if (!(prize > 0)) {
+      return undefined;
+    }
+    const user = await getUser(habiticaClient, ['balance']);
+    return formatCost(user, t(`Create challenge "${name}" with a prize`, `创建带奖励的挑战 "${name}"`), prize, 'gems');
+  },
+  
+  hatch_pet: async (habiticaClient, { egg, hatchingPotion }) => {
+    const user = await getUser(habiticaClient, ['items.eggs', 'items.hatchingPotions', 'items.pets']);
+    const items = user.items || {};
+    const pet = `${egg}-${hatchingPotion}`;
+    
+    const lines = [
+      t(`Hatch ${pet}`, `孵化 ${pet}`),
+      t(`Uses 1 ${egg} egg (owned: ${items.eggs?.[egg] ?? 0})`, `消耗 1 个 ${egg} 蛋 (拥有: ${items.eggs?.[egg] ?? 0})`),
+      t(`Uses 1 ${hatchingPotion} hatching potion (owned: ${items.hatchingPotions?.[hatchingPotion] ?? 0})`,
+        `消耗 1 瓶 ${hatchingPotion} 孵化药水 (拥有: ${items.hatchingPotions?.[hatchingPotion] ?? 0})`),
+    ];
+    if (items.pets?.[pet] !== undefined && items.pets[pet] !== null) {
+      lines.push(t(`You already own ${pet}; hatching will fail`, `你已拥有 ${pet}，孵化将会失败`));
+    }
+    return lines.join('\n');
+  },
+  
+  import_tasks: async (habiticaClient, args, userId) => formatImportPlan(await planTaskImport(habiticaClient, userId, args)),
+};
+
+// 找出要评分的任务中的奖励；任务 ID 依 /user 的 tasksOrder 判断，只有奖励和别名才读取任务
+async function findRewardTasks(habiticaClient, taskRefs) {
+  const user = await getUser(habiticaClient, ['tasksOrder.rewards']);
+  const rewardIds = new Set(user.tasksOrder?.rewards || []);
+  const candidates = taskRefs.filter(ref => rewardIds.has(ref) || !TASK_ID_PATTERN.test(ref));
+  const tasks = await Promise.all(candidates.map(ref => fetchTaskIfExists(habiticaClient, ref)));
+  return tasks.filter(task => task?.type === 'reward');
+}
+
+// 读取任务，不存在时返回 undefined
+async function fetchTaskIfExists(habiticaClient, taskId) {
+  try {
+    const response = await habiticaClient.get(`/tasks/${taskId}`);
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+async function fetchExistingTask(habiticaClient, taskId) {
+  const task = await fetchTaskIfExists(habiticaClient, taskId);
+  if (!task) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Task not found: ${taskId}`, `未找到任务: ${taskId}`));
+  }
+  return task;
+}
+
+function formatBlockers(blockers) {
+  return blockers.map(blocker => `${blocker.text} (${blocker.id})`).join(', ');
+}
+
+// 前置任务已删除时视为不再阻挡
+async function findIncompleteBlockers(habiticaClient, userId, taskId) {
+  const dependencies = await dependencyStore.read(userId);
+  const blockerIds = dependencies[taskId] || [];
+  const blockers = await Promise.all(blockerIds.map(blockerId => fetchTaskIfExists(habiticaClient, blockerId)));
+  return blockers.filter(blocker => blocker && !blocker.completed);
+}
+
+// 从 startId 沿依赖查找 targetId，返回经过的路径
+function findDependencyPath(dependencies, startId, targetId, visited = new Set()) {
+  if (startId === targetId) {
+    return [startId];
+  }
+  visited.add(startId);
+  
+  for (const nextId of dependencies[startId] || []) {
+    if (visited.has(nextId)) continue;
+    const path = findDependencyPath(dependencies, nextId, targetId, visited);
+    if (path) {
+      return [startId, ...path];
+    }
+  }
+  return undefined;
+}
+
+// 参数可以是别名，依赖关系一律以解析后的任务 ID 记录
+async function linkTaskDependency(habiticaClient, userId, taskRef, blockerRef) {
+  const [task, blocker] = await Promise.all([
+    fetchExistingTask(habiticaClient, taskRef),
+    fetchExistingTask(habiticaClient, blockerRef),
+  ]);
+  if (task.id === blocker.id) {
+    throw new McpError(ErrorCode.InvalidParams, t('A task cannot depend on itself', '任务不能依赖自身'));
+  }
+  if (task.type !== 'todo') {
+    throw new McpError(ErrorCode.InvalidParams, t('Only todos can be blocked', '只有待办任务可以被阻挡'));
+  }
+  if (!['todo', 'daily'].includes(blocker.type)) {
+    throw new McpError(ErrorCode.InvalidParams, t('Blocking tasks must be todos or dailies', '前置任务必须是待办或日常'));
+  }
+  
+  await dependencyStore.update(userId, dependencies => {
+    // 若前置任务已（间接）依赖此任务，新增依赖会形成循环
+    const cycle = findDependencyPath(dependencies, blocker.id, task.id);
+    if (cycle) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        t(`Dependency would create a cycle: ${[task.id, ...cycle].join(' → ')}`, `依赖会形成循环: ${[task.id, ...cycle].join(' → ')}`)
+      );
+    }
+    dependencies[task.id] = [...new Set([...(dependencies[task.id] || []), blocker.id])];
+  });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`"${task.text}" is now blocked by "${blocker.text}"`, `"${task.text}" 现在需等待 "${blocker.text}" 完成`),
+      },
+    ],
+  };
+}
+
+async function unlinkTaskDependency(habiticaClient, userId, taskRef, blockerRef) {
+  // 任务可能已被删除，只有别名需要向 Habitica 解析
+  const [taskId, blockedBy] = await Promise.all([
+    resolveTaskId(habiticaClient, taskRef),
+    resolveTaskId(habiticaClient, blockerRef),
+  ]);
+  await dependencyStore.update(userId, dependencies => {
+    if (!(dependencies[taskId] || []).includes(blockedBy)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        t(`Task ${taskId} is not blocked by ${blockedBy}`, `任务 ${taskId} 并不依赖 ${blockedBy}`)
+      );
+    }
+    dependencies[taskId] = dependencies[taskId].filter(id => id !== blockedBy);
+    if (dependencies[taskId].length === 0) {
+      delete dependencies[taskId];
+    }
+  });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Removed dependency: ${taskId} no longer waits for ${blockedBy}`, `已移除依赖: ${taskId} 不再等待 ${blockedBy}`),
+      },
+    ],
+  };
+}
+
+async function getBlockedTasks(habiticaClient, userId, options = {}) {
+  const dependencies = await dependencyStore.read(userId);
+  const taskIds = [...new Set(Object.entries(dependencies).flatMap(([taskId, blockerIds]) => [taskId, ...blockerIds]))];
+  const tasks = new Map((await Promise.all(taskIds.map(taskId => fetchTaskIfExists(habiticaClient, taskId))))
+    .filter(Boolean)
+    .map(task => [task.id, task]));
+  
+  // 已完成或已删除的待办不再列出
+  const blocked = Object.entries(dependencies)
+    .map(([taskId, blockerIds]) => ({
+      task: tasks.get(taskId),
+      blockers: blockerIds.map(blockerId => tasks.get(blockerId)).filter(blocker => blocker && !blocker.completed),
+    }))
+    .filter(({ task, blockers }) => task && !task.completed && blockers.length > 0)
+    .map(({ task, blockers }) => ({
+      id: task.id,
+      text: task.text,
+      blockers: blockers.map(blocker => ({ id: blocker.id, text: blocker.text })),
+    }));
+  
+  return renderList(blocked, options, BLOCKED_TASK_VIEW);
+}
+
+// 模板中可替换变量的字段
+function templateTextFields(task) {
+  return [task.text, task.notes, ...(task.checklist || []).map(item => item.text)].filter(Boolean);
+}
+
+function findTemplateVariables(tasks) {
+  const names = tasks.flatMap(task => templateTextFields(task)
+    .flatMap(text => [...text.matchAll(TEMPLATE_VARIABLE_PATTERN)].map(match => match[1])));
+  return [...new Set(names)];
+}
+
+function fillTemplate(text, variables) {
+  return text?.replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => variables[name]);
+}
+
+function getTemplate(templates, name) {
+  const template = templates[name?.trim()];
+  if (!template) {
+    const names = Object.keys(templates);
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      t(`Task template not found: ${name}. Saved templates: ${names.join(', ') || 'none'}`,
+        `未找到任务模板: ${name}。已保存的模板: ${names.join(', ') || '无'}`)
+    );
+  }
+  return template;
+}
+
+async function saveTaskTemplate(userId, { name, description, tasks, overwrite = false }) {
+  const templateName = name?.trim();
+  if (!templateName) {
+    throw new McpError(ErrorCode.InvalidParams, t('Template name is required', '模板名称不能为空'));
+  }
+  validateBatch(tasks, 'tasks');
+  // 保存前校验任务字段，占位符本身不影响校验
+  tasks.forEach(parseTaskInput);
+  
+  const template = {
+    name: templateName,
+    description,
+    tasks,
+    variables: findTemplateVariables(tasks),
+    updatedAt: new Date().toISOString(),
+  };
+  
+  const replaced = await templateStore.update(userId, templates => {
+    const exists = !!templates[templateName];
+    if (exists && !overwrite) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        t(`Task template "${templateName}" already exists. Set overwrite=true to replace it.`,
+          `任务模板 "${templateName}" 已存在。设置 overwrite=true 可覆盖。`)
+      );
+    }
+    templates[templateName] = template;
+    return exists;
+  });
+  
+  let message = replaced
+    ? t(`Successfully updated task template: ${templateName}`, `成功更新任务模板: ${templateName}`)
+    : t(`Successfully saved task template: ${templateName}`, `成功保存任务模板: ${templateName}`);
+  message += `\n${t('Tasks', '任务')}: ${tasks.length}`;
+  if (template.variables.length > 0) {
+    message += `\n${t('Variables', '变量')}: ${template.variables.join(', ')}`;
+  }
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message,
+      },
+    ],
+  };
+}
+
+async function listTaskTemplates(userId, options = {}) {
+  const templates = await templateStore.read(userId);
+  const list = Object.values(templates).sort((a, b) => a.name.localeCompare(b.name));
+  
+  return renderList(list, options, TEMPLATE_VIEW);
+}
+
+async function applyTaskTemplate(habiticaClient, userId, name, variables = {}) {
+  const template = getTemplate(await templateStore.read(userId), name);
+  
+  const missing = template.variables.filter(variable => variables[variable] === undefined);
+  if (missing.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      t(`Missing template variables: ${missing.join(', ')}`, `缺少模板变量: ${missing.join(', ')}`)
+    );
+  }
+  
+  const tasks = template.tasks.map(task => ({
+    ...task,
+    text: fillTemplate(task.text, variables),
+    notes: fillTemplate(task.notes, variables),
+    checklist: task.checklist?.map(item => ({ ...item, text: fillTemplate(item.text, variables) })),
+  }));
+  
+  // 逐个创建以保持模板中的任务顺序
+  await createMissingBatchTags(habiticaClient, tasks);
+  const results = await runBatch(tasks, task => createTask(habiticaClient, task), 1);
+  return formatBatchReport(results, tasks.map(task => task.text));
+}
+
+async function deleteTaskTemplate(userId, name) {
+  await templateStore.update(userId, templates => {
+    const template = getTemplate(templates, name);
+    delete templates[template.name];
+  });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully deleted task template: ${name.trim()}`, `成功删除任务模板: ${name.trim()}`),
+      },
+    ],
+  };
+}
+
+async function getStats(habiticaClient) {
+  const user = await getUser(habiticaClient, ['stats']);
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(user.stats, null, 2),
+      },
+    ],
+  };
+}
+
+async function buyReward(habiticaClient, userId, key) {
+  const response = await habiticaClient.post(`/user/buy/${key}`);
+  const result = response.data.data;
+  await recordAction(userId, { action: 'purchase', itemKey: key, quantity: 1 });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `成功购买奖励! 剩余金币: ${result.gp}`,
+      },
+    ],
+  };
+}
+
+async function getInventory(habiticaClient, category, options = {}) {
+  const user = await getUser(habiticaClient, ['items']);
+  
+  return renderList(flattenInventory(user.items || {}, category), options, INVENTORY_VIEW);
+}
+
+async function castSpell(habiticaClient, spellId, targetId) {
+  const endpoint = targetId ? `/user/class/cast/${spellId}?targetId=${targetId}` : `/user/class/cast/${spellId}`;
+  const response = await habiticaClient.post(endpoint);
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `成功施放技能: ${spellId}`,
+      },
+    ],
+  };
+}
+
+async function getTags(habiticaClient, options = {}) {
+  const response = await habiticaClient.get('/tags');
+  
+  return renderList(response.data.data || [], options, TAG_VIEW);
+}
+
+async function createTag(habiticaClient, name) {
+  const response = await habiticaClient.post('/tags', { name });
+  const tag = response.data.data;
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `成功创建标签: ${tag.name} (ID: ${tag.id})`,
+      },
+    ],
+  };
+}
+
+async function addTagToTask(habiticaClient, taskId, tag, createMissingTags = false) {
+  const [tagId] = await resolveTagIds(habiticaClient, [tag], createMissingTags);
+  await habiticaClient.post(`/tasks/${taskId}/tags/${tagId}`);
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully added tag "${tag}" to task (ID: ${taskId})`, `成功为任务添加标签 "${tag}" (ID: ${taskId})`),
+      },
+    ],
+  };
+}
+
+async function removeTagFromTask(habiticaClient, taskId, tag) {
+  const [tagId] = await resolveTagIds(habiticaClient, [tag]);
+  await habiticaClient.delete(`/tasks/${taskId}/tags/${tagId}`);
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully removed tag "${tag}" from task (ID: ${taskId})`, `成功从任务移除标签 "${tag}" (ID: ${taskId})`),
+      },
+    ],
+  };
+}
+
+async function getPets(habiticaClient, options = {}) {
+  const user = await getUser(habiticaClient, ['items.pets', 'items.currentPet']);
+  const items = user.items || {};
+  
+  const pets = Object.entries(items.pets || {})
+    .filter(([, progress]) => progress !== null && progress !== undefined)
+    .map(([key, progress]) => ({ key, ...splitPetKey(key), progress, current: items.currentPet === key }));
+  
+  return renderList(pets, options, PET_VIEW);
+}
+
+async function feedPet(habiticaClient, pet, food) {
+  const response = await habiticaClient.post(`/user/feed/${pet}/${food}`);
+  const result = response.data.data;
+  
+  let message = `成功喂养宠物 ${pet}! `;
+  if (result.message) {
+    message += result.message;
+  }
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message,
       },
-      required: ['taskId', 'itemId'],
-    },
-  },
-];
-
-// 註冊工具
-tools.forEach(tool => {
-  mcpServer.registerTool(tool.name, {
-    description: tool.description,
-    inputSchema: tool.inputSchema
-  }, async (args, extra) => {
-    // 從 MCP 請求上下文中獲取憑證
-    const credentials = extra?.meta?.habiticaCredentials;
-    // 使用工具名稱調用相應的處理函數
-    return await handleToolCall(tool.name, args, credentials);
-  });
-});
+    ],
+  };
+}
 
-// 工具实现函数
-async function getUserProfile(habiticaClient) {
-  const response = await habiticaClient.get('/user');
-  const user = response.data.data;
+async function hatchPet(habiticaClient, egg, hatchingPotion) {
+  const response = await habiticaClient.post(`/user/hatch/${egg}/${hatchingPotion}`);
+  const result = response.data.data;
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(user, null, 2),
+        text: `成功孵化宠物! 获得了 ${egg}-${hatchingPotion}`,
       },
     ],
   };
 }
 
-async function getTasks(habiticaClient, type) {
-  const endpoint = type ? `/tasks/user?type=${type}` : '/tasks/user';
-  const response = await habiticaClient.get(endpoint);
+async function getMounts(habiticaClient, options = {}) {
+  const user = await getUser(habiticaClient, ['items.mounts', 'items.currentMount']);
+  const items = user.items || {};
+  
+  // 仅列出已拥有的坐骑
+  const mounts = Object.entries(items.mounts || {})
+    .filter(([, owned]) => owned)
+    .map(([key]) => ({ key, ...splitPetKey(key), current: items.currentMount === key }));
+  
+  return renderList(mounts, options, MOUNT_VIEW);
+}
+
+async function equipItem(habiticaClient, type, key) {
+  const response = await habiticaClient.post(`/user/equip/${type}/${key}`);
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data, null, 2),
+        text: `成功装备 ${type}: ${key}`,
       },
     ],
   };
 }
 
-async function createTask(habiticaClient, taskData) {
-  const response = await habiticaClient.post('/tasks/user', taskData);
-  const task = response.data.data;
+async function getNotifications(habiticaClient, options = {}) {
+  const response = await habiticaClient.get('/notifications');
+  
+  return renderList(response.data.data || [], options, NOTIFICATION_VIEW);
+}
+
+async function readNotification(habiticaClient, notificationId) {
+  await habiticaClient.post(`/notifications/${notificationId}/read`);
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功创建任务: ${task.text} (ID: ${task.id})`,
+        text: `成功标记通知为已读 (ID: ${notificationId})`,
       },
     ],
   };
 }
 
-async function scoreTask(habiticaClient, taskId, direction = 'up') {
-  const response = await habiticaClient.post(`/tasks/${taskId}/score/${direction}`);
-  const result = response.data.data;
+async function getShop(habiticaClient, shopType = 'market', options = {}) {
+  const response = await habiticaClient.get(`/shops/${shopType}`);
   
-  let message = `任务完成! `;
-  if (result.exp) message += `获得 ${result.exp} 经验值 `;
-  if (result.gp) message += `获得 ${result.gp} 金币 `;
-  if (result.lvl) message += `升级到 ${result.lvl} 级! `;
+  return renderList(flattenShop(response.data.data || {}), options, SHOP_VIEW);
+}
+
+async function buyItem(habiticaClient, userId, itemKey, quantity = 1) {
+  const response = await habiticaClient.post(`/user/buy/${itemKey}`, { quantity });
+  const result = response.data.data;
+  await recordAction(userId, { action: 'purchase', itemKey, quantity });
   
   return {
     content: [
       {
         type: 'text',
-        text: message,
+        text: `成功购买 ${itemKey} x${quantity}! 剩余金币: ${result.gp}`,
       },
     ],
   };
 }
 
-async function updateTask(habiticaClient, taskId, updates) {
-  const response = await habiticaClient.put(`/tasks/${taskId}`, updates);
+async function getTaskChecklist(habiticaClient, taskId) {
+  const response = await habiticaClient.get(`/tasks/${taskId}`);
   const task = response.data.data;
+  const checklist = task.checklist || [];
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功更新任务: ${task.text}`,
+        text: t(`Task: ${task.text}\nChecklist items (${checklist.length}):`, `任务: ${task.text}\n清单项目 (${checklist.length}):`),
+      },
+      {
+        type: 'text',
+        text: checklist.length > 0 
+          ? checklist.map(item => `${item.completed ? '✓' : '○'} ${item.text} (ID: ${item.id})`).join('\n')
+          : t('No checklist items found', '未找到清单项目'),
       },
     ],
   };
 }
 
-async function deleteTask(habiticaClient, taskId) {
-  await habiticaClient.delete(`/tasks/${taskId}`);
+// 清单相关 API 返回整个任务，从中取出指定项目
+function findChecklistItem(task, itemId) {
+  return (task.checklist || []).find(item => item.id === itemId) || {};
+}
+
+async function addChecklistItem(habiticaClient, taskId, text) {
+  const response = await habiticaClient.post(`/tasks/${taskId}/checklist`, { text });
+  // API 返回整个任务，新增的项目在清单末尾
+  const checklist = response.data.data.checklist || [];
+  const item = checklist[checklist.length - 1] || {};
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功删除任务 (ID: ${taskId})`,
+        text: t(`Successfully added checklist item: ${item.text} (ID: ${item.id})`, `成功添加清单项目: ${item.text} (ID: ${item.id})`),
       },
     ],
   };
 }
 
-async function getStats(habiticaClient) {
-  const response = await habiticaClient.get('/user');
+async function updateChecklistItem(habiticaClient, taskId, itemId, updates) {
+  const response = await habiticaClient.put(`/tasks/${taskId}/checklist/${itemId}`, updates);
+  const item = findChecklistItem(response.data.data, itemId);
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data.data.stats, null, 2),
+        text: t(`Successfully updated checklist item: ${item.text}`, `成功更新清单项目: ${item.text}`),
       },
     ],
   };
 }
 
-async function buyReward(habiticaClient, key) {
-  const response = await habiticaClient.post(`/user/buy/${key}`);
-  const result = response.data.data;
+async function deleteChecklistItem(habiticaClient, userId, taskId, itemId) {
+  const snapshot = (await habiticaClient.get(`/tasks/${taskId}`)).data.data;
+  await habiticaClient.delete(`/tasks/${taskId}/checklist/${itemId}`);
+  await recordAction(userId, {
+    action: 'delete_checklist_item',
+    taskId,
+    task: snapshot,
+    item: (snapshot.checklist || []).find(item => item.id === itemId),
+  });
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功购买奖励! 剩余金币: ${result.gp}`,
+        text: t(`Successfully deleted checklist item (ID: ${itemId})`, `成功删除清单项目 (ID: ${itemId})`),
       },
     ],
   };
 }
 
-async function getInventory(habiticaClient) {
-  const response = await habiticaClient.get('/user');
+async function scoreChecklistItem(habiticaClient, taskId, itemId) {
+  const response = await habiticaClient.post(`/tasks/${taskId}/checklist/${itemId}/score`);
+  const item = findChecklistItem(response.data.data, itemId);
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data.data.items, null, 2),
+        text: t(`Successfully scored checklist item: ${item.text} (completed: ${item.completed})`, `成功评分清单项目: ${item.text} (完成状态: ${item.completed})`),
       },
     ],
   };
 }
 
-async function castSpell(habiticaClient, spellId, targetId) {
-  const endpoint = targetId ? `/user/class/cast/${spellId}?targetId=${targetId}` : `/user/class/cast/${spellId}`;
-  const response = await habiticaClient.post(endpoint);
+// 队伍功能
+function getMemberName(member) {
+  return member.profile?.name || member.auth?.local?.username || member._id || member.id;
+}
+
+function formatPartyMember(member) {
+  const stats = member.stats || {};
+  const hp = Math.round((stats.hp ?? 0) * 10) / 10;
+  const maxHp = stats.maxHealth ?? 50;
+  const className = stats.class || '-';
+  return t(
+    `${getMemberName(member)} - Lv.${stats.lvl ?? '?'} ${className} | HP ${hp}/${maxHp}`,
+    `${getMemberName(member)} - ${stats.lvl ?? '?'} 级 ${className} | 生命值 ${hp}/${maxHp}`
+  );
+}
+
+function formatChatMessage(message) {
+  const author = message.user || message.username || t('System', '系统');
+  const time = message.timestamp ? new Date(message.timestamp).toLocaleString() : '';
+  return time ? `${author}: ${message.text} (${time})` : `${author}: ${message.text}`;
+}
+
+// 任务进度摘要，questContent 来自 /content 的 quests[key]（可选）
+function formatQuestStatus(quest, questContent) {
+  if (!quest?.key) {
+    return t('No active quest', '当前没有任务');
+  }
+  
+  const questName = questContent?.text || quest.key;
+  const lines = [];
+  
+  if (!quest.active) {
+    lines.push(t(`Quest: ${questName} (waiting for invitations)`, `任务: ${questName} (等待成员接受邀请)`));
+  } else {
+    lines.push(t(`Quest: ${questName} (in progress)`, `任务: ${questName} (进行中)`));
+  }
+  
+  const progress = quest.progress || {};
+  if (questContent?.boss || typeof progress.hp === 'number') {
+    const maxHp = questContent?.boss?.hp;
+    const hp = Math.round((progress.hp ?? maxHp ?? 0) * 10) / 10;
+    const bossName = questContent?.boss?.name || 'Boss';
+    lines.push(maxHp
+      ? t(`${bossName} HP: ${hp}/${maxHp} (${Math.round((1 - hp / maxHp) * 100)}% defeated)`, `${bossName} 生命值: ${hp}/${maxHp} (已击败 ${Math.round((1 - hp / maxHp) * 100)}%)`)
+      : t(`${bossName} HP: ${hp}`, `${bossName} 生命值: ${hp}`));
+  }
+  
+  const collect = progress.collect || {};
+  Object.entries(collect).forEach(([itemKey, count]) => {
+    const target = questContent?.collect?.[itemKey];
+    const itemName = target?.text || itemKey;
+    lines.push(target?.count
+      ? t(`Collected ${itemName}: ${count}/${target.count}`, `已收集 ${itemName}: ${count}/${target.count}`)
+      : t(`Collected ${itemName}: ${count}`, `已收集 ${itemName}: ${count}`));
+  });
+  
+  return lines.join('\n');
+}
+
+async function getContent(habiticaClient) {
+  const response = await habiticaClient.get('/content');
+  return response.data.data;
+}
+
+async function getQuestContent(habiticaClient, questKey) {
+  if (!questKey) return undefined;
+  const content = await getContent(habiticaClient);
+  return content.quests?.[questKey];
+}
+
+async function getParty(habiticaClient) {
+  const response = await habiticaClient.get('/groups/party');
+  const party = response.data.data;
+  const leaderName = party.leader?.profile?.name || party.leader?._id || party.leader;
+  
+  const lines = [
+    t(`Party: ${party.name} (ID: ${party._id || party.id})`, `队伍: ${party.name} (ID: ${party._id || party.id})`),
+    t(`Leader: ${leaderName}`, `队长: ${leaderName}`),
+    t(`Members: ${party.memberCount}`, `成员数: ${party.memberCount}`),
+    formatQuestStatus(party.quest),
+  ];
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功施放技能: ${spellId}`,
+        text: lines.join('\n'),
       },
     ],
   };
 }
 
-async function getTags(habiticaClient) {
-  const response = await habiticaClient.get('/tags');
+async function getPartyMembers(habiticaClient, options = {}) {
+  const response = await habiticaClient.get('/groups/party/members?includeAllPublicFields=true');
+  
+  return renderList(response.data.data || [], options, PARTY_MEMBER_VIEW);
+}
+
+async function getPartyQuest(habiticaClient) {
+  const [partyResponse, membersResponse] = await Promise.all([
+    habiticaClient.get('/groups/party'),
+    habiticaClient.get('/groups/party/members'),
+  ]);
+  const quest = partyResponse.data.data.quest || {};
+  const members = membersResponse.data.data || [];
+  const questContent = await getQuestContent(habiticaClient, quest.key);
+  
+  const lines = [formatQuestStatus(quest, questContent)];
+  
+  if (quest.key) {
+    // quest.members: { 成员ID: true(已接受) / false(已拒绝) / null(待回复) }
+    const memberNames = new Map(members.map(member => [member._id || member.id, getMemberName(member)]));
+    const statusLabel = (status) => status === true
+      ? t('accepted', '已接受')
+      : status === false ? t('rejected', '已拒绝') : t('pending', '待回复');
+    const participants = Object.entries(quest.members || {})
+      .map(([memberId, status]) => `- ${memberNames.get(memberId) || memberId}: ${statusLabel(status)}`);
+    
+    if (participants.length > 0) {
+      lines.push(t('Participants:', '参与者:'), ...participants);
+    }
+  }
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data, null, 2),
+        text: lines.join('\n'),
       },
     ],
   };
 }
 
-async function createTag(habiticaClient, name) {
-  const response = await habiticaClient.post('/tags', { name });
-  const tag = response.data.data;
+// 任务（副本）生命周期
+async function runQuestAction(habiticaClient, action, successMessage) {
+  const response = await habiticaClient.post(`/groups/party/quests/${action}`);
+  const quest = response.data.data;
+  const questContent = await getQuestContent(habiticaClient, quest?.key);
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功创建标签: ${tag.name} (ID: ${tag.id})`,
+        text: `${successMessage}\n${formatQuestStatus(quest, questContent)}`,
       },
     ],
   };
 }
 
-async function getPets(habiticaClient) {
-  const response = await habiticaClient.get('/user');
+async function inviteQuest(habiticaClient, questKey) {
+  // 先确认用户确实拥有该任务卷轴
+  const user = await getUser(habiticaClient, ['items.quests']);
+  const ownedQuests = user.items?.quests || {};
+  
+  if (!(ownedQuests[questKey] > 0)) {
+    const owned = Object.keys(ownedQuests).filter(key => ownedQuests[key] > 0);
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      t(`You do not own the quest scroll "${questKey}". Owned scrolls: ${owned.join(', ') || 'none'}`,
+        `未拥有任务卷轴 "${questKey}"。已拥有的卷轴: ${owned.join(', ') || '无'}`)
+    );
+  }
+  
+  return await runQuestAction(habiticaClient, `invite/${questKey}`, t(`Party invited to quest: ${questKey}`, `已邀请队伍参加任务: ${questKey}`));
+}
+
+async function cancelQuest(habiticaClient) {
+  // 未开始的任务使用 cancel，进行中的任务使用 abort
+  const partyResponse = await habiticaClient.get('/groups/party');
+  const quest = partyResponse.data.data.quest || {};
+  
+  if (!quest.key) {
+    throw new McpError(ErrorCode.InvalidRequest, t('The party has no quest to cancel', '队伍当前没有可取消的任务'));
+  }
+  
+  return quest.active
+    ? await runQuestAction(habiticaClient, 'abort', t('Quest aborted.', '已中止任务。'))
+    : await runQuestAction(habiticaClient, 'cancel', t('Quest invitation cancelled.', '已取消任务邀请。'));
+}
+
+// 群组聊天（队伍与公会共用）
+async function getGroupChat(habiticaClient, groupId, options = {}) {
+  const response = await habiticaClient.get(`/groups/${groupId}/chat`);
+  
+  return renderList(response.data.data || [], options, CHAT_MESSAGE_VIEW);
+}
+
+async function postGroupMessage(habiticaClient, groupId, message) {
+  const response = await habiticaClient.post(`/groups/${groupId}/chat`, { message });
+  const sent = response.data.data.message;
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data.data.items.pets, null, 2),
+        text: t(`Message sent: ${sent?.text ?? message}`, `消息已发送: ${sent?.text ?? message}`),
       },
     ],
   };
 }
 
-async function feedPet(habiticaClient, pet, food) {
-  const response = await habiticaClient.post(`/user/feed/${pet}/${food}`);
-  const result = response.data.data;
+// 公会功能
+function formatGuildSummary(guild) {
+  const summary = guild.summary ? ` - ${guild.summary}` : '';
+  return t(
+    `${guild.name} (ID: ${guild._id || guild.id}) | ${guild.memberCount ?? '?'} members${summary}`,
+    `${guild.name} (ID: ${guild._id || guild.id}) | ${guild.memberCount ?? '?'} 名成员${summary}`
+  );
+}
+
+async function listGuilds(habiticaClient, { type = 'public', search, page = 0, ...options } = {}) {
+  const params = type === 'member'
+    ? { type: 'guilds' }
+    : { type: 'publicGuilds', paginate: true, page };
+  if (search) params.search = search;
   
-  let message = `成功喂养宠物 ${pet}! `;
-  if (result.message) {
-    message += result.message;
+  const response = await habiticaClient.get('/groups', { params });
+  const title = type === 'member'
+    ? t('Your guilds', '已加入的公会')
+    : t(`Public guilds, page ${page}`, `公开公会，第 ${page} 页`);
+  
+  return renderList(response.data.data || [], options, { ...GUILD_VIEW, title });
+}
+
+async function getGuild(habiticaClient, groupId) {
+  const response = await habiticaClient.get(`/groups/${groupId}`);
+  const guild = response.data.data;
+  const leaderName = guild.leader?.profile?.name || guild.leader?._id || guild.leader;
+  
+  const lines = [
+    formatGuildSummary(guild),
+    t(`Leader: ${leaderName}`, `会长: ${leaderName}`),
+    t(`Privacy: ${guild.privacy}`, `隐私: ${guild.privacy}`),
+  ];
+  if (guild.description) {
+    lines.push('', guild.description);
   }
   
   return {
     content: [
       {
         type: 'text',
-        text: message,
+        text: lines.join('\n'),
       },
     ],
   };
 }
 
-async function hatchPet(habiticaClient, egg, hatchingPotion) {
-  const response = await habiticaClient.post(`/user/hatch/${egg}/${hatchingPotion}`);
-  const result = response.data.data;
+async function joinGuild(habiticaClient, groupId) {
+  const response = await habiticaClient.post(`/groups/${groupId}/join`);
+  const guild = response.data.data;
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功孵化宠物! 获得了 ${egg}-${hatchingPotion}`,
+        text: t(`Successfully joined guild: ${guild.name}`, `成功加入公会: ${guild.name}`),
       },
     ],
   };
 }
 
-async function getMounts(habiticaClient) {
-  const response = await habiticaClient.get('/user');
+async function leaveGuild(habiticaClient, groupId, keepChallengeTasks = true) {
+  await habiticaClient.post(`/groups/${groupId}/leave`, {
+    keepChallenges: keepChallengeTasks ? 'remain-in-challenges' : 'leave-challenges',
+  }, {
+    params: { keep: keepChallengeTasks ? 'keep-all' : 'remove-all' },
+  });
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data.data.items.mounts, null, 2),
+        text: t(`Successfully left guild (ID: ${groupId})`, `成功退出公会 (ID: ${groupId})`),
       },
     ],
   };
 }
 
-async function equipItem(habiticaClient, type, key) {
-  const response = await habiticaClient.post(`/user/equip/${type}/${key}`);
+// 挑战功能
+function formatChallengeSummary(challenge) {
+  const groupName = challenge.group?.name ? ` | ${challenge.group.name}` : '';
+  return t(
+    `${challenge.name} (ID: ${challenge._id || challenge.id}) | ${challenge.memberCount ?? '?'} members | prize ${challenge.prize ?? 0} gems${groupName}`,
+    `${challenge.name} (ID: ${challenge._id || challenge.id}) | ${challenge.memberCount ?? '?'} 名成员 | 奖励 ${challenge.prize ?? 0} 宝石${groupName}`
+  );
+}
+
+function formatChallengeTask(task) {
+  const difficulty = task.priority !== undefined ? ` [${task.priority}]` : '';
+  return `- ${task.type}: ${task.text}${difficulty}`;
+}
+
+// 根据用户关联到挑战的任务计算进度
+function summarizeChallengeProgress(challenge, tasks) {
+  const habits = tasks.filter(task => task.type === 'habit');
+  const dailies = tasks.filter(task => task.type === 'daily');
+  const todos = tasks.filter(task => task.type === 'todo');
+  const lines = [formatChallengeSummary(challenge)];
+  
+  if (tasks.length === 0) {
+    lines.push(t('  No linked tasks found', '  未找到关联任务'));
+    return lines.join('\n');
+  }
+  
+  if (habits.length > 0) {
+    const up = habits.reduce((sum, task) => sum + (task.counterUp || 0), 0);
+    const down = habits.reduce((sum, task) => sum + (task.counterDown || 0), 0);
+    lines.push(t(`  Habits: ${habits.length} | +${up} / -${down}`, `  习惯: ${habits.length} 个 | +${up} / -${down}`));
+  }
+  
+  if (dailies.length > 0) {
+    const done = dailies.filter(task => task.completed).length;
+    const bestStreak = Math.max(...dailies.map(task => task.streak || 0));
+    lines.push(t(
+      `  Dailies: ${done}/${dailies.length} done today | best streak ${bestStreak}`,
+      `  日常: 今日完成 ${done}/${dailies.length} | 最长连击 ${bestStreak}`
+    ));
+  }
+  
+  if (todos.length > 0) {
+    const done = todos.filter(task => task.completed).length;
+    const percent = Math.round((done / todos.length) * 100);
+    lines.push(t(`  Todos: ${done}/${todos.length} completed (${percent}%)`, `  待办: 已完成 ${done}/${todos.length} (${percent}%)`));
+  }
+  
+  const broken = tasks.filter(task => task.challenge?.broken).length;
+  if (broken > 0) {
+    lines.push(t(`  ${broken} task(s) no longer linked to the challenge`, `  ${broken} 个任务已与挑战断开关联`));
+  }
+  
+  return lines.join('\n');
+}
+
+async function listChallenges(habiticaClient, { scope = 'member', search, page = 0, ...options } = {}) {
+  const params = { page };
+  if (scope === 'member') params.member = true;
+  if (search) params.search = search;
+  
+  const response = await habiticaClient.get('/challenges/user', { params });
+  const title = scope === 'member'
+    ? t(`Your challenges, page ${page}`, `已参加的挑战，第 ${page} 页`)
+    : t(`Available challenges, page ${page}`, `可参加的挑战，第 ${page} 页`);
+  
+  return renderList(response.data.data || [], options, { ...CHALLENGE_VIEW, title });
+}
+
+async function joinChallenge(habiticaClient, challengeId) {
+  const response = await habiticaClient.post(`/challenges/${challengeId}/join`);
+  const challenge = response.data.data;
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功装备 ${type}: ${key}`,
+        text: t(`Successfully joined challenge: ${challenge.name}`, `成功参加挑战: ${challenge.name}`),
       },
     ],
   };
 }
 
-async function getNotifications(habiticaClient) {
-  const response = await habiticaClient.get('/notifications');
+async function leaveChallenge(habiticaClient, challengeId, keepTasks = true) {
+  await habiticaClient.post(`/challenges/${challengeId}/leave`, {
+    keep: keepTasks ? 'keep-all' : 'remove-all',
+  });
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data, null, 2),
+        text: keepTasks
+          ? t(`Left challenge (ID: ${challengeId}), tasks kept`, `已退出挑战 (ID: ${challengeId})，任务已保留`)
+          : t(`Left challenge (ID: ${challengeId}), tasks removed`, `已退出挑战 (ID: ${challengeId})，任务已删除`),
       },
     ],
   };
 }
 
-async function readNotification(habiticaClient, notificationId) {
-  await habiticaClient.post(`/notifications/${notificationId}/read`);
+async function getChallengeTasks(habiticaClient, challengeId, options = {}) {
+  const [challengeResponse, tasksResponse] = await Promise.all([
+    habiticaClient.get(`/challenges/${challengeId}`),
+    habiticaClient.get(`/tasks/challenge/${challengeId}`),
+  ]);
+  const challenge = challengeResponse.data.data;
+  const title = t(`Tasks of challenge "${challenge.name}"`, `挑战“${challenge.name}”的任务`);
+  
+  return renderList(tasksResponse.data.data || [], options, { ...CHALLENGE_TASK_VIEW, title });
+}
+
+async function getChallengeProgress(habiticaClient, challengeId) {
+  // 已完成的待办不在默认任务列表中，需要单独获取
+  const [challengesResponse, tasksResponse, completedResponse] = await Promise.all([
+    challengeId
+      ? habiticaClient.get(`/challenges/${challengeId}`)
+      : habiticaClient.get('/challenges/user', { params: { member: true } }),
+    habiticaClient.get('/tasks/user'),
+    habiticaClient.get('/tasks/user', { params: { type: 'completedTodos' } }),
+  ]);
+  const challenges = challengeId ? [challengesResponse.data.data] : (challengesResponse.data.data || []);
+  const userTasks = [...(tasksResponse.data.data || []), ...(completedResponse.data.data || [])];
+  
+  if (challenges.length === 0) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: t('You have not joined any challenges', '尚未参加任何挑战'),
+        },
+      ],
+    };
+  }
+  
+  const reports = challenges.map(challenge => {
+    const id = challenge._id || challenge.id;
+    const linkedTasks = userTasks.filter(task => task.challenge?.id === id);
+    return summarizeChallengeProgress(challenge, linkedTasks);
+  });
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功标记通知为已读 (ID: ${notificationId})`,
+        text: reports.join('\n\n'),
       },
     ],
   };
 }
 
-async function getShop(habiticaClient, shopType = 'market') {
-  const response = await habiticaClient.get(`/shops/${shopType}`);
+// 挑战创建与管理
+// 设置宝石奖励时需先确认（见 CONFIRMATION_PREVIEWS）
+async function createChallenge(habiticaClient, { groupId, name, shortName, summary, description, prize = 0 }) {
+  const response = await habiticaClient.post('/challenges', {
+    group: groupId,
+    name,
+    shortName: shortName || name,
+    summary,
+    description,
+    prize,
+  });
+  const challenge = response.data.data;
   
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data, null, 2),
+        text: t(`Successfully created challenge: ${challenge.name} (ID: ${challenge._id || challenge.id})`,
+          `成功创建挑战: ${challenge.name} (ID: ${challenge._id || challenge.id})`),
       },
     ],
   };
 }
 
-async function buyItem(habiticaClient, itemKey, quantity = 1) {
-  const response = await habiticaClient.post(`/user/buy/${itemKey}`, { quantity });
-  const result = response.data.data;
+async function updateChallenge(habiticaClient, challengeId, { name, summary, description }) {
+  const response = await habiticaClient.put(`/challenges/${challengeId}`, { name, summary, description });
+  const challenge = response.data.data;
   
   return {
     content: [
       {
         type: 'text',
-        text: `成功购买 ${itemKey} x${quantity}! 剩余金币: ${result.gp}`,
+        text: t(`Successfully updated challenge: ${challenge.name}`, `成功更新挑战: ${challenge.name}`),
       },
     ],
   };
 }
 
-async function getTaskChecklist(habiticaClient, taskId) {
-  const response = await habiticaClient.get(`/tasks/${taskId}`);
+async function addChallengeTask(habiticaClient, challengeId, taskData) {
+  const payload = parseTaskInput(taskData);
+  await resolveTaskFields(habiticaClient, payload, {
+    createMissingTags: taskData.createMissingTags === true,
+  });
+  const response = await habiticaClient.post(`/tasks/challenge/${challengeId}`, payload);
   const task = response.data.data;
-  const checklist = task.checklist || [];
   
   return {
     content: [
       {
         type: 'text',
-        text: t(`Task: ${task.text}\nChecklist items (${checklist.length}):`, `任务: ${task.text}\n清单项目 (${checklist.length}):`),
+        text: t(`Successfully added challenge task: ${task.text} (ID: ${task.id})`, `成功添加挑战任务: ${task.text} (ID: ${task.id})`),
       },
+    ],
+  };
+}
+
+async function selectChallengeWinner(habiticaClient, challengeId, winnerId) {
+  await habiticaClient.post(`/challenges/${challengeId}/selectWinner/${winnerId}`);
+  
+  return {
+    content: [
       {
         type: 'text',
-        text: checklist.length > 0 
-          ? checklist.map(item => `${item.completed ? '✓' : '○'} ${item.text} (ID: ${item.id})`).join('\n')
-          : t('No checklist items found', '未找到清单项目'),
+        text: t(`Winner selected (user ID: ${winnerId}), the challenge is now closed`, `已选出获胜者 (用户ID: ${winnerId})，挑战已结束`),
       },
     ],
   };
 }
 
-async function addChecklistItem(habiticaClient, taskId, text) {
-  const response = await habiticaClient.post(`/tasks/${taskId}/checklist`, { text });
-  const item = response.data.data;
+async function exportChallengeCsv(habiticaClient, challengeId) {
+  const response = await habiticaClient.get(`/challenges/${challengeId}/export/csv`, {
+    responseType: 'text',
+  });
   
   return {
     content: [
       {
         type: 'text',
-        text: t(`Successfully added checklist item: ${item.text} (ID: ${item.id})`, `成功添加清单项目: ${item.text} (ID: ${item.id})`),
+        text: response.data,
       },
     ],
   };
 }
 
-async function updateChecklistItem(habiticaClient, taskId, itemId, updates) {
-  const response = await habiticaClient.put(`/tasks/${taskId}/checklist/${itemId}`, updates);
-  const item = response.data.data;
+// 私信功能
+// 将私信按对方用户分组，sent=true 表示由自己发出
+function groupInboxMessages(messages) {
+  const conversations = new Map();
+  
+  messages.forEach(message => {
+    const partnerId = message.uuid || 'unknown';
+    if (!conversations.has(partnerId)) {
+      conversations.set(partnerId, {
+        partnerId,
+        name: message.user,
+        username: message.username,
+        messages: [],
+      });
+    }
+    conversations.get(partnerId).messages.push(message);
+  });
+  
+  return [...conversations.values()];
+}
+
+function formatConversation(conversation) {
+  const username = conversation.username ? ` (@${conversation.username})` : '';
+  const header = t(
+    `${conversation.name || conversation.partnerId}${username} [ID: ${conversation.partnerId}] - ${conversation.messages.length} message(s)`,
+    `${conversation.name || conversation.partnerId}${username} [ID: ${conversation.partnerId}] - ${conversation.messages.length} 条消息`
+  );
+  // 会话内按时间正序显示
+  const lines = [...conversation.messages].reverse().map(message => `  ${formatChatMessage({
+    ...message,
+    user: message.sent ? t('You', '我') : message.user,
+  })} (ID: ${message.id})`);
+  
+  return [header, ...lines].join('\n');
+}
+
+async function getInbox(habiticaClient, { page = 0, unreadOnly = false, ...options } = {}) {
+  const [messagesResponse, user] = await Promise.all([
+    habiticaClient.get('/inbox/messages', { params: { page } }),
+    getUser(habiticaClient, ['inbox.newMessages']),
+  ]);
+  let messages = messagesResponse.data.data || [];
+  const unreadCount = user.inbox?.newMessages || 0;
+  
+  if (unreadOnly) {
+    // Habitica 只记录未读数量而没有逐条的已读标记，只能假定最新收到的 N 条为未读（近似结果）
+    messages = page === 0
+      ? messages.filter(message => !message.sent).slice(0, unreadCount)
+      : [];
+  }
+  
+  const conversations = groupInboxMessages(messages);
+  const approximation = unreadOnly
+    ? t(' | unread filter is approximate: showing the newest received messages', ' | 未读筛选为近似结果: 显示最新收到的消息')
+    : '';
+  
+  const result = renderList(conversations, options, CONVERSATION_VIEW);
+  result.content.unshift({
+    type: 'text',
+    text: t(`Unread messages: ${unreadCount} | page ${page}, ${messages.length} message(s) in ${conversations.length} conversation(s)${approximation}`,
+      `未读消息: ${unreadCount} | 第 ${page} 页，${conversations.length} 个会话共 ${messages.length} 条消息${approximation}`),
+  });
+  return result;
+}
+
+async function sendPrivateMessage(habiticaClient, toUserId, message) {
+  await habiticaClient.post('/members/send-private-message', { toUserId, message });
   
   return {
     content: [
       {
         type: 'text',
-        text: t(`Successfully updated checklist item: ${item.text}`, `成功更新清单项目: ${item.text}`),
+        text: t(`Private message sent to ${toUserId}`, `已向 ${toUserId} 发送私信`),
       },
     ],
   };
 }
 
-async function deleteChecklistItem(habiticaClient, taskId, itemId) {
-  await habiticaClient.delete(`/tasks/${taskId}/checklist/${itemId}`);
+async function deletePrivateMessage(habiticaClient, messageId) {
+  await habiticaClient.delete(`/user/messages/${messageId}`);
   
   return {
     content: [
       {
         type: 'text',
-        text: t(`Successfully deleted checklist item (ID: ${itemId})`, `成功删除清单项目 (ID: ${itemId})`),
+        text: t(`Successfully deleted private message (ID: ${messageId})`, `成功删除私信 (ID: ${messageId})`),
       },
     ],
   };
 }
 
-async function scoreChecklistItem(habiticaClient, taskId, itemId) {
-  const response = await habiticaClient.post(`/tasks/${taskId}/checklist/${itemId}/score`);
-  const item = response.data.data;
+async function markInboxRead(habiticaClient) {
+  await habiticaClient.post('/user/mark-pms-read');
   
   return {
     content: [
       {
         type: 'text',
-        text: t(`Successfully scored checklist item: ${item.text} (completed: ${item.completed})`, `成功评分清单项目: ${item.text} (完成状态: ${item.completed})`),
+        text: t('All private messages marked as read', '所有私信已标记为已读'),
       },
     ],
   };
 }
 
 // 創建 Express 應用用於網頁文檔
-function createWebApp() {
+function createWebApp(sessionManager) {
   const app = express();
   
   // 基本中介軟體
@@ -1344,6 +5832,10 @@ function createWebApp() {
       protocol: 'MCP StreamableHTTP',
       transport: 'JSON-RPC 2.0',
       tools: tools.length,
+      sessions: {
+        active: sessionManager.size,
+        idleTimeoutMinutes: sessionManager.idleTimeout / 60000
+      },
       security: {
         apiKeyRequired: !!MCP_API_KEY,
         ipWhitelistEnabled: ALLOWED_IPS.length > 0,
@@ -1352,13 +5844,22 @@ function createWebApp() {
         requireAuthentication: REQUIRE_AUTHENTICATION,
         clientIP: clientIP
       },
+      habiticaRateLimit: {
+        ...getRateLimitSummary(),
+        maxRetries: HABITICA_MAX_RETRIES,
+      },
       environment: {
-        hasCredentials: !!(HABITICA_USER_ID && HABITICA_API_TOKEN),
+        hasCredentials: hasDefaultCredentials(),
         language: process.env.MCP_LANG || process.env.LANG || 'en'
       }
     });
   });
   
+  // MCP 端點處理（每個會話擁有獨立的 transport）
+  app.post('/mcp', sessionManager.handlePost);
+  app.get('/mcp', sessionManager.handleGet);
+  app.delete('/mcp', sessionManager.handleDelete);
+  
   // 404 處理
   app.use((req, res) => {
     res.status(404).json({
@@ -1375,28 +5876,14 @@ function createWebApp() {
 async function runServer() {
   const port = process.env.PORT || 3000;
   
-  // 創建 MCP 服務器傳輸層
-  const transport = new StreamableHTTPServerTransport({
-    sessionIdGenerator: () => crypto.randomUUID(),
-  });
-  
-  await mcpServer.connect(transport);
-  
-  // 創建 Express 應用
-  const webApp = createWebApp();
-  
-  // 添加 MCP 端點處理
-  webApp.post('/mcp', express.json(), async (req, res) => {
-    await transport.handleRequest(req, res, req.body);
+  // 創建會話管理器（每個 MCP 客戶端會話擁有獨立的 transport / server）
+  const sessionManager = createSessionManager({
+    createServer: createMcpServer,
+    idleTimeout: SESSION_IDLE_TIMEOUT,
   });
   
-  webApp.get('/mcp', async (req, res) => {
-    await transport.handleRequest(req, res);
-  });
-  
-  webApp.delete('/mcp', async (req, res) => {
-    await transport.handleRequest(req, res);
-  });
+  // 創建 Express 應用（包含 MCP 端點）
+  const webApp = createWebApp(sessionManager);
   
   // 啟動 HTTP 服務器
   webApp.listen(port, process.env.HOST || '0.0.0.0', () => {
@@ -1431,7 +5918,31 @@ async function runServer() {
   }
 }
 
-runServer().catch((error) => {
+// 以 stdio 模式啟動（供本地桌面 MCP 客戶端使用）
+async function runStdioServer() {
+  // stdout 專用於 MCP 協議串流，所有日誌一律輸出到 stderr
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+  
+  const mcpServer = createMcpServer({
+    userId: HABITICA_USER_ID,
+    apiToken: HABITICA_API_TOKEN,
+  });
+  
+  const transport = new StdioServerTransport();
+  await mcpServer.connect(transport);
+  
+  console.error(`🏰 Habitica MCP stdio 服務器已啟動`);
+  if (!hasDefaultCredentials()) {
+    console.error(`⚠️  未設置 HABITICA_USER_ID / HABITICA_API_TOKEN，工具調用將會失敗`);
+  }
+}
+
+// 傳輸模式：--stdio 參數或 MCP_TRANSPORT=stdio 時使用 stdio，否則使用 HTTP
+const useStdio = process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio';
+
+(useStdio ? runStdioServer() : runServer()).catch((error) => {
   console.error('伺服器啟動失敗:', error);
   process.exit(1);
 }); 
\ No newline at end of file
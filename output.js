@@ -0,0 +1,166 @@
+// 共用輸出層：列表工具的格式（summary / table / json）、分頁與欄位投影
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { t } from './i18n.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// 各列表工具共用的輸入參數
+export const outputProperties = {
+  format: {
+    type: 'string',
+    enum: ['summary', 'table', 'json'],
+    description: t('Output format (default summary)', '输出格式 (默认 summary)'),
+    default: 'summary',
+  },
+  limit: {
+    type: 'number',
+    description: t(`Maximum number of items per page (default ${DEFAULT_LIMIT})`, `每页最大条目数 (默认 ${DEFAULT_LIMIT})`),
+  },
+  cursor: {
+    type: 'string',
+    description: t('Cursor returned by the previous page', '上一页返回的游标'),
+  },
+  fields: {
+    type: 'array',
+    items: {
+      type: 'string',
+    },
+    description: t('Fields to include (see the tool description for available fields)', '要包含的字段 (可用字段见工具说明)'),
+  },
+};
+
+// 在工具說明後附上可用欄位
+export function describeFields(description, fieldNames) {
+  return `${description}. ${t('Fields', '字段')}: ${fieldNames.join(', ')}`;
+}
+
+function resolveFields(options, view) {
+  if (!options.fields?.length) {
+    return view.defaultFields || Object.keys(view.fields);
+  }
+
+  const unknown = options.fields.filter(field => !view.fields[field]);
+  if (unknown.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      t(`Unknown fields: ${unknown.join(', ')}. Available fields: ${Object.keys(view.fields).join(', ')}`,
+        `未知字段: ${unknown.join(', ')}。可用字段: ${Object.keys(view.fields).join(', ')}`)
+    );
+  }
+  return options.fields;
+}
+
+function parseCursor(cursor) {
+  if (cursor === undefined || cursor === '') return 0;
+
+  const offset = Number(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Invalid cursor: ${cursor}`, `无效的游标: ${cursor}`));
+  }
+  return offset;
+}
+
+function project(item, fields, view) {
+  return Object.fromEntries(fields.map(field => [field, view.fields[field](item)]));
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(formatCell).join(', ');
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function formatTable(rows, fields) {
+  const header = `| ${fields.join(' | ')} |`;
+  const separator = `| ${fields.map(() => '---').join(' | ')} |`;
+  const lines = rows.map(row => `| ${fields.map(field => formatCell(row[field])).join(' | ')} |`);
+  return [header, separator, ...lines].join('\n');
+}
+
+// 未指定欄位時使用 view.summarize，否則以 " | " 連接所選欄位
+function formatSummaryLine(item, fields, options, view) {
+  if (!options.fields?.length && view.summarize) {
+    return view.summarize(item);
+  }
+  return fields
+    .map(field => formatCell(view.fields[field](item)))
+    .filter(value => value !== '')
+    .join(' | ');
+}
+
+// 渲染列表
+// view: { title, fields: { 名稱: item => 值 }, defaultFields?, summarize?, emptyText? }
+export function renderList(items, options = {}, view) {
+  const format = options.format || 'summary';
+  const fields = resolveFields(options, view);
+  const limit = Math.min(Math.max(1, Math.floor(options.limit || view.defaultLimit || DEFAULT_LIMIT)), MAX_LIMIT);
+  const offset = parseCursor(options.cursor);
+  const page = items.slice(offset, offset + limit);
+  const nextCursor = offset + page.length < items.length ? String(offset + page.length) : undefined;
+
+  let body;
+  if (format === 'json') {
+    // json 格式未指定欄位時回傳原始資料
+    body = JSON.stringify(options.fields?.length ? page.map(item => project(item, fields, view)) : page, null, 2);
+  } else if (page.length === 0) {
+    body = view.emptyText || t('No items found', '未找到条目');
+  } else if (format === 'table') {
+    body = formatTable(page.map(item => project(item, fields, view)), fields);
+  } else {
+    body = page.map(item => formatSummaryLine(item, fields, options, view)).join('\n');
+  }
+
+  const range = page.length > 0 ? `${offset + 1}-${offset + page.length}` : '0';
+  const content = [
+    {
+      type: 'text',
+      text: t(`${view.title} (${range} of ${items.length}):`, `${view.title} (${range} / 共 ${items.length}):`),
+    },
+    {
+      type: 'text',
+      text: body,
+    },
+  ];
+
+  if (nextCursor) {
+    content.push({
+      type: 'text',
+      text: t(`More results available, call again with cursor="${nextCursor}"`, `还有更多结果，请使用 cursor="${nextCursor}" 再次调用`),
+    });
+  }
+
+  return { content };
+}
+
+// 渲染單一記錄（例如用戶檔案），table 格式為「欄位 | 值」兩欄
+export function renderRecord(record, options = {}, view) {
+  const format = options.format || 'summary';
+  const fields = resolveFields(options, view);
+
+  let text;
+  if (format === 'json') {
+    text = JSON.stringify(options.fields?.length ? project(record, fields, view) : record, null, 2);
+  } else if (format === 'table') {
+    const row = project(record, fields, view);
+    text = formatTable(fields.map(field => ({ field, value: row[field] })), ['field', 'value']);
+  } else if (!options.fields?.length && view.summarize) {
+    text = view.summarize(record);
+  } else {
+    const row = project(record, fields, view);
+    text = fields
+      .filter(field => formatCell(row[field]) !== '')
+      .map(field => `${field}: ${formatCell(row[field])}`)
+      .join('\n');
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text,
+      },
+    ],
+  };
+}
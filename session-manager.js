@@ -0,0 +1,149 @@
+// MCP 會話管理：每個 mcp-session-id 擁有獨立的 transport / server
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import crypto from 'crypto';
+
+// 預設閒置逾時：30 分鐘
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+// 回傳 JSON-RPC 錯誤
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: {
+      code: -32000,
+      message,
+    },
+    id: null,
+  });
+}
+
+// 創建會話管理器
+// createServer(credentials) 需回傳一個尚未連接的 McpServer
+export function createSessionManager({ createServer, idleTimeout = DEFAULT_IDLE_TIMEOUT }) {
+  const sessions = new Map();
+
+  // 關閉並移除會話
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+
+    sessions.delete(sessionId);
+    // McpServer.close() 會一併關閉其 transport
+    await session.server.close();
+  }
+
+  // 為初始化請求建立新的 transport / server 組合
+  async function createSession(credentials) {
+    const server = createServer(credentials);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, {
+          transport,
+          server,
+          credentials,
+          createdAt: Date.now(),
+          lastActivity: Date.now(),
+        });
+      },
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+    return { server, transport };
+  }
+
+  // 依請求標頭找到對應會話並更新活動時間
+  function findSession(req) {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+    if (session) {
+      session.lastActivity = Date.now();
+    }
+    return { sessionId, session };
+  }
+
+  // 處理 POST /mcp
+  async function handlePost(req, res) {
+    const { sessionId, session } = findSession(req);
+
+    if (session) {
+      await session.transport.handleRequest(req, res, req.body);
+      return;
+    }
+
+    if (sessionId) {
+      return sendJsonRpcError(res, 404, 'Session not found');
+    }
+
+    if (!isInitializeRequest(req.body)) {
+      return sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+    }
+
+    // 初始化失敗或拋出錯誤時不會觸發 onsessioninitialized，會話不在 sessions 中，需在此關閉已連接的 server / transport
+    const { server, transport } = await createSession(req.habiticaCredentials);
+    const closeIfUninitialized = async () => {
+      if (!transport.sessionId || !sessions.has(transport.sessionId)) {
+        await server.close();
+      }
+    };
+    try {
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      await closeIfUninitialized().catch(() => {});
+      throw error;
+    }
+    await closeIfUninitialized();
+  }
+
+  // 處理 GET /mcp（SSE 串流）與 DELETE /mcp（結束會話）
+  async function handleSessionRequest(req, res) {
+    const { sessionId, session } = findSession(req);
+
+    if (!session) {
+      return sendJsonRpcError(res, sessionId ? 404 : 400,
+        sessionId ? 'Session not found' : 'Bad Request: No valid session ID provided');
+    }
+
+    await session.transport.handleRequest(req, res);
+  }
+
+  // 清理閒置過久的會話
+  function expireIdleSessions() {
+    const now = Date.now();
+    for (const [sessionId, session] of sessions.entries()) {
+      if (now - session.lastActivity > idleTimeout) {
+        closeSession(sessionId).catch((error) => {
+          console.error(`關閉閒置會話失敗 (${sessionId}):`, error);
+        });
+      }
+    }
+  }
+
+  const cleanupTimer = setInterval(expireIdleSessions, Math.min(idleTimeout, 60 * 1000));
+  cleanupTimer.unref();
+
+  return {
+    handlePost,
+    handleGet: handleSessionRequest,
+    handleDelete: handleSessionRequest,
+    expireIdleSessions,
+    closeSession,
+    get size() {
+      return sessions.size;
+    },
+    get idleTimeout() {
+      return idleTimeout;
+    },
+    async closeAll() {
+      clearInterval(cleanupTimer);
+      await Promise.all([...sessions.keys()].map(closeSession));
+    },
+  };
+}
@@ -0,0 +1,98 @@
+// 本地快照存放：以 JSON Lines 依用戶記錄屬性與任務狀態，補足 Habitica 不保留的歷史
+// 每位用戶一個檔案，每行一筆 { at, reason, stats, tasks, completedTodos }
+import fs from 'fs/promises';
+import path from 'path';
+import { getDataDir, getUserDir } from './store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 預設保留 90 天
+const DEFAULT_RETENTION_DAYS = 90;
+
+// 創建快照存放，快照寫在資料目錄下的 dirName 目錄中
+export function createSnapshotStore(dirName = 'snapshots', { retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+  // 同一用戶的寫入依序執行：用戶 ID -> 佇列
+  const queues = new Map();
+  // 用戶 ID -> 上次清理過期快照的時間
+  const prunedAt = new Map();
+
+  function getFilePath(userId) {
+    return `${getUserDir(path.join(getDataDir(), dirName), userId)}.jsonl`;
+  }
+
+  function enqueue(userId, task) {
+    const run = (queues.get(userId) || Promise.resolve()).then(task);
+    const queued = run.catch(() => {});
+    queues.set(userId, queued);
+    queued.then(() => {
+      if (queues.get(userId) === queued) queues.delete(userId);
+    });
+    return run;
+  }
+
+  async function readLines(userId) {
+    let text;
+    try {
+      text = await fs.readFile(getFilePath(userId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    // 略過程序中斷時留下的不完整行
+    return text.split('\n').flatMap(line => {
+      if (!line.trim()) return [];
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  // 重寫檔案，只保留保留期限內的快照；每位用戶每天最多執行一次
+  async function prune(userId, now) {
+    if (retentionDays <= 0 || now - (prunedAt.get(userId) || 0) < DAY_MS) return;
+    prunedAt.set(userId, now);
+
+    const cutoff = now - retentionDays * DAY_MS;
+    const snapshots = await readLines(userId);
+    const kept = snapshots.filter(snapshot => Date.parse(snapshot.at) >= cutoff);
+    if (kept.length === snapshots.length) return;
+
+    const filePath = getFilePath(userId);
+    await fs.writeFile(`${filePath}.tmp`, kept.map(snapshot => `${JSON.stringify(snapshot)}\n`).join(''));
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+
+  // 追加一筆快照，at 未指定時使用目前時間
+  function append(userId, snapshot) {
+    return enqueue(userId, async () => {
+      const now = Date.now();
+      const record = { at: new Date(now).toISOString(), ...snapshot };
+      const filePath = getFilePath(userId);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await prune(userId, now);
+      await fs.appendFile(filePath, `${JSON.stringify(record)}\n`);
+      return record;
+    });
+  }
+
+  // 讀取某用戶在 [from, to]（毫秒時間戳，皆可省略）之間的快照，依時間排序
+  async function read(userId, { from = -Infinity, to = Infinity } = {}) {
+    await queues.get(userId);
+    return (await readLines(userId))
+      .filter(snapshot => {
+        const at = Date.parse(snapshot.at);
+        return at >= from && at <= to;
+      })
+      .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  }
+
+  return {
+    append,
+    read,
+    getFilePath,
+  };
+}
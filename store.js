@@ -0,0 +1,72 @@
+// 本地 JSON 資料存放：任務模板等不屬於 Habitica 帳號的資料
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// 資料目錄，可透過 HABITICA_MCP_DATA_DIR 覆寫
+export function getDataDir() {
+  return process.env.HABITICA_MCP_DATA_DIR || path.join(os.homedir(), '.habitica-mcp');
+}
+
+// 取得某用戶在 baseDir 下的目錄；用戶 ID 來自請求標頭，只保留安全字元，避免 ../ 跳出 baseDir
+export function getUserDir(baseDir, userId) {
+  return path.join(baseDir, String(userId).replace(/[^\w-]/g, '_'));
+}
+
+// 創建 JSON 檔案存放，資料以用戶 ID 分區
+export function createJsonStore(fileName) {
+  // 讀-改-寫依序執行，避免並發請求互相覆蓋
+  let queue = Promise.resolve();
+
+  function getFilePath() {
+    return path.join(getDataDir(), fileName);
+  }
+
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.readFile(getFilePath(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  // 先寫入暫存檔再改名，避免程序中斷時留下半寫入的檔案
+  async function writeAll(data) {
+    const filePath = getFilePath();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+
+  // 讀取某用戶的資料
+  async function read(userId) {
+    await queue;
+    const data = await readAll();
+    return data[userId] || {};
+  }
+
+  // 修改某用戶的資料，mutator 可直接修改傳入的物件並回傳任意結果
+  function update(userId, mutator) {
+    const run = queue.then(async () => {
+      const data = await readAll();
+      const userData = data[userId] || {};
+      const result = await mutator(userData);
+      data[userId] = userData;
+      await writeAll(data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    read,
+    update,
+    get filePath() {
+      return getFilePath();
+    },
+  };
+}
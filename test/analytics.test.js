@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+import { USER_ID } from './fake-habitica.js';
+
+let server;
+let account;
+
+// 第二段內容為 JSON
+const parseAnalysis = text => JSON.parse(text.slice(text.indexOf('\n{') + 1));
+
+before(async () => {
+  server = await startServer();
+  account = server.fake.state.accounts.get(USER_ID);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('analyze_habits reports streaks, completion rates and trends', async () => {
+  const result = await server.call('analyze_habits');
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /Habit analysis as of .* \(2 habits and dailies\)/);
+  assert.match(result.text, /Dailies completion: 7d 71% \| 30d 60%/);
+
+  const analysis = parseAnalysis(result.text);
+  assert.deepEqual(analysis.windows, [7, 30, 90]);
+
+  const run = analysis.tasks.find(task => task.text === 'Morning run');
+  assert.deepEqual(run.streak, { current: 4, best: 4 });
+  assert.deepEqual(run.windows['7d'], { due: 7, completed: 5, rate: 71 });
+  assert.deepEqual(run.windows['30d'], { due: 15, completed: 9, rate: 60 });
+  assert.deepEqual(run.trend, { direction: 'rising', change: 13 });
+  assert.ok(run.weekdays.best);
+  assert.ok(run.weekdays.worst);
+
+  const water = analysis.tasks.find(task => task.text === 'Drink water');
+  assert.deepEqual(water.streak, { current: 10, best: 10 });
+  assert.deepEqual(water.windows['7d'], { up: 6, down: 1, activeDays: 6, rate: 86 });
+  assert.deepEqual(water.windows['30d'], { up: 10, down: 1, activeDays: 10, rate: 33 });
+  assert.deepEqual(water.trend, { direction: 'falling', change: -10 });
+
+  assert.deepEqual(analysis.overall.habits['7d'], { up: 6, down: 1 });
+});
+
+test('analyze_habits filters by type and task IDs', async () => {
+  const dailies = parseAnalysis((await server.call('analyze_habits', { type: 'daily' })).text);
+  assert.deepEqual(dailies.tasks.map(task => task.text), ['Morning run']);
+
+  const water = account.tasks.find(task => task.text === 'Drink water');
+  const selected = parseAnalysis((await server.call('analyze_habits', { taskIds: [water.id] })).text);
+  assert.deepEqual(selected.tasks.map(task => task.text), ['Drink water']);
+
+  const missing = await server.call('analyze_habits', { taskIds: ['missing-task'] });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Habits or dailies not found: missing-task/);
+});
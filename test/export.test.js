@@ -0,0 +1,156 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+import { USER_ID, OTHER_USER_ID, OTHER_API_TOKEN } from './fake-habitica.js';
+
+let server;
+let account;
+let other;
+
+// 第一行為摘要，其後為導出內容
+const parseExport = text => text.slice(text.indexOf('\n') + 1);
+const getToken = text => text.match(/confirmationToken="([^"]+)"/)[1];
+
+before(async () => {
+  server = await startServer();
+  account = server.fake.state.accounts.get(USER_ID);
+  other = await server.connect({ userId: OTHER_USER_ID, apiToken: OTHER_API_TOKEN });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('export_account exports tasks, tags, challenges and an inventory summary as JSON', async () => {
+  const result = await server.call('export_account');
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /^Exported 4 tasks, 2 completed todos, 2 tags and 1 challenge memberships:/);
+
+  const data = JSON.parse(parseExport(result.text));
+  assert.equal(data.format, 'habitica-mcp-export');
+  assert.deepEqual(data.user, { id: USER_ID, username: 'alice' });
+  assert.deepEqual(data.tags.map(tag => tag.name), ['Work', 'Health']);
+  assert.deepEqual(data.challenges.map(challenge => challenge.id), ['challenge-1']);
+
+  const report = data.tasks.find(task => task.text === 'Write report');
+  assert.deepEqual(report.checklist, [{ text: 'Collect data', completed: false }, { text: 'Draft', completed: false }]);
+  assert.deepEqual(report.tags, [account.tags[0].id]);
+  assert.equal(data.tasks.find(task => task.text === 'Morning run').streak, 4);
+  assert.deepEqual(data.completedTodos.map(task => task.text), ['File taxes', 'Renew passport']);
+  assert.ok(data.completedTodos.every(task => task.completed && task.dateCompleted));
+
+  assert.deepEqual(data.inventory.eggs, { kinds: 1, total: 2 });
+  assert.equal(data.inventory.pets, 1);
+  assert.equal(data.inventory.mounts, 1);
+  assert.equal(data.inventory.gems, 20);
+});
+
+test('export_account exports tasks as CSV and Markdown', async () => {
+  const csv = parseExport((await server.call('export_account', { format: 'csv' })).text).split('\n');
+  assert.equal(csv[0], 'id,type,text,notes,priority,tags,value,completed,streak,date,checklist');
+  assert.match(csv.find(line => line.includes('Write report')), /,todo,Write report,Quarterly numbers,1,Work,.*,\[ \] Collect data; \[ \] Draft$/);
+
+  const markdown = parseExport((await server.call('export_account', { format: 'markdown' })).text);
+  assert.match(markdown, /^# Habitica tasks of alice/);
+  assert.match(markdown, /## Dailies \(1\)\n- \[ \] Morning run \(#Health, streak 4\)/);
+  assert.match(markdown, /- \[ \] Write report \(#Work, due \d{4}-\d{2}-\d{2}\)\n {2}> Quarterly numbers\n {2}- \[ \] Collect data/);
+  assert.match(markdown, /## Rewards \(1\)\n- Watch a movie \(10 gold\)/);
+  assert.match(markdown, /## Completed todos \(2\)\n- \[x\] File taxes \(completed \d{4}-\d{2}-\d{2}\)/);
+  assert.ok(csv.some(line => line.includes(',todo,File taxes,')));
+});
+
+test('import_tasks previews a diff and imports into another account after confirmation', async () => {
+  const data = JSON.parse(parseExport((await server.call('export_account')).text));
+  data.tags.push({ id: 'tag-errands', name: 'Errands' });
+  data.tasks.push(
+    { id: 'task-milk', type: 'todo', text: 'Buy milk', tags: ['tag-errands'] },
+    { id: 'task-stretch', type: 'daily', text: 'Stretch', challenge: { id: 'challenge-1' } }
+  );
+  const target = server.fake.state.accounts.get(OTHER_USER_ID);
+  const taskCount = target.tasks.length;
+
+  const args = { data, types: ['todo', 'daily'] };
+  const preview = await other.call('import_tasks', args);
+  assert.equal(preview.isError, false, preview.text);
+  assert.match(preview.text, /Preview only/);
+  assert.match(preview.text, /1 tasks to create, 3 skipped/);
+  assert.match(preview.text, /Tags to create: Errands/);
+  assert.match(preview.text, /\+ \[todo\] Buy milk \(Errands\)/);
+  assert.match(preview.text, /= \[todo\] Write report \(Work\), 2 checklist items: already exists/);
+  assert.match(preview.text, /= \[daily\] Stretch: challenge task/);
+  assert.equal(target.tasks.length, taskCount);
+
+  const changed = await other.call('import_tasks', { ...args, types: ['todo'], confirmationToken: getToken(preview.text) });
+  assert.equal(changed.isError, true);
+  assert.match(changed.text, /arguments changed since the preview/);
+
+  const allArgs = { data, skipExisting: false };
+  const allPreview = await other.call('import_tasks', allArgs);
+  assert.match(allPreview.text, /5 tasks to create, 1 skipped/);
+  assert.match(allPreview.text, /Existing tags reused: Health, Work/);
+
+  const imported = await other.call('import_tasks', { ...allArgs, confirmationToken: getToken(allPreview.text) });
+  assert.equal(imported.isError, false, imported.text);
+  assert.match(imported.text, /Batch finished: 5 succeeded, 0 failed/);
+  assert.match(imported.text, /Created tags: Errands/);
+  assert.equal(target.tasks.length, taskCount + 5);
+
+  // 標籤 ID 對應到目標帳號的標籤
+  const work = target.tags.find(tag => tag.name === 'Work');
+  const errands = target.tags.find(tag => tag.name === 'Errands');
+  const report = target.tasks.filter(task => task.text === 'Write report').pop();
+  assert.deepEqual(report.tags, [work.id]);
+  assert.deepEqual(report.checklist.map(item => item.text), ['Collect data', 'Draft']);
+  assert.deepEqual(target.tasks.find(task => task.text === 'Buy milk').tags, [errands.id]);
+});
+
+test('import_tasks reads saved exports and skips existing tasks', async () => {
+  const saved = await server.call('export_account', { saveToFile: true });
+  assert.equal(saved.isError, false, saved.text);
+  const file = saved.text.match(/import_tasks file="([^"]+)"/)[1];
+  const filePath = path.join(server.dataDir, 'exports', USER_ID, file);
+  assert.equal(JSON.parse(await fs.readFile(filePath, 'utf8')).tasks.length, account.tasks.length);
+
+  const preview = await server.call('import_tasks', { file });
+  assert.match(preview.text, /0 tasks to create, 4 skipped/);
+  const result = await server.call('import_tasks', { file, confirmationToken: getToken(preview.text) });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /Nothing to import/);
+});
+
+test('import_tasks into the same account drops aliases and tags missing from the export', async () => {
+  await server.call('create_task', { type: 'todo', text: 'Aliased', alias: 'aliased' });
+  const data = JSON.parse(parseExport((await server.call('export_account')).text));
+  data.tasks = data.tasks.filter(task => task.text === 'Aliased').map(task => ({ ...task, tags: ['tag-unknown'] }));
+  const taskCount = account.tasks.length;
+
+  const args = { data, skipExisting: false };
+  const preview = await server.call('import_tasks', args);
+  const imported = await server.call('import_tasks', { ...args, confirmationToken: getToken(preview.text) });
+  assert.equal(imported.isError, false, imported.text);
+  assert.match(imported.text, /Batch finished: 1 succeeded, 0 failed/);
+  assert.equal(account.tasks.length, taskCount + 1);
+
+  const copy = account.tasks.at(-1);
+  assert.equal(copy.text, 'Aliased');
+  assert.equal(copy.alias, undefined);
+  assert.deepEqual(copy.tags, []);
+});
+
+test('import_tasks rejects invalid input', async () => {
+  const traversal = await server.call('import_tasks', { file: '../task-templates.json' });
+  assert.equal(traversal.isError, true);
+  assert.match(traversal.text, /file must be a file name in the export directory/);
+
+  const missing = await server.call('import_tasks', { file: 'missing.json' });
+  assert.match(missing.text, /Export file not found: missing.json/);
+
+  const invalid = await server.call('import_tasks', { data: '{"tasks": 1}' });
+  assert.equal(invalid.isError, true);
+  assert.match(invalid.text, /Not a JSON export from export_account/);
+
+  const none = await server.call('import_tasks');
+  assert.match(none.text, /Provide either data or file/);
+});
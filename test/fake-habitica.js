@@ -0,0 +1,813 @@
+// 測試用的 Habitica API 替身：在行程內以 express 模擬 /api/v3 的常用端點，資料保存在記憶體中
+import express from 'express';
+import crypto from 'crypto';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 測試帳號
+export const USER_ID = 'user-1';
+export const API_TOKEN = 'token-1';
+export const OTHER_USER_ID = 'user-2';
+export const OTHER_API_TOKEN = 'token-2';
+
+// Habitica 錯誤回應格式
+class HabiticaError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+const notFound = (message) => new HabiticaError(404, 'NotFound', message);
+const notAuthorized = (message) => new HabiticaError(401, 'NotAuthorized', message);
+const badRequest = (message) => new HabiticaError(400, 'BadRequest', message);
+
+// 遊戲內容（/content 的子集）
+const content = {
+  quests: {
+    dilatory: { key: 'dilatory', text: "The Dread Drag'on of Dilatory", boss: { name: 'Dilatory', hp: 5000 } },
+    atom1: { key: 'atom1', text: 'Attack of the Mundane', collect: { soapBars: { text: 'Bars of Soap', count: 20 } }, goldValue: 100 },
+  },
+  gear: {
+    flat: {
+      weapon_warrior_0: { key: 'weapon_warrior_0', text: 'Training Sword', value: 0 },
+      weapon_warrior_1: { key: 'weapon_warrior_1', text: 'Sword', value: 20 },
+    },
+  },
+  potion: { key: 'potion', text: 'Health Potion', value: 25 },
+  armoire: { key: 'armoire', text: 'Enchanted Armoire', value: 100 },
+  eggs: { Wolf: { key: 'Wolf', text: 'Wolf', value: 3 }, Fox: { key: 'Fox', text: 'Fox', value: 3 } },
+  hatchingPotions: { Base: { key: 'Base', text: 'Base', value: 2 }, Red: { key: 'Red', text: 'Red', value: 2 } },
+  food: { Meat: { key: 'Meat', text: 'Meat', value: 1 } },
+  spells: {
+    warrior: {
+      smash: { key: 'smash', text: 'Brutal Smash', mana: 10, target: 'task' },
+      defensiveStance: { key: 'defensiveStance', text: 'Defensive Stance', mana: 25, target: 'self' },
+      valorousPresence: { key: 'valorousPresence', text: 'Valorous Presence', mana: 20, target: 'party' },
+      intimidate: { key: 'intimidate', text: 'Intimidating Gaze', mana: 15, target: 'party' },
+    },
+  },
+};
+
+const shops = {
+  market: {
+    identifier: 'market',
+    categories: [
+      {
+        identifier: 'eggs',
+        text: 'Eggs',
+        items: [
+          { key: 'Wolf', text: 'Wolf', value: 3, currency: 'gems', purchaseType: 'eggs' },
+          { key: 'Fox', text: 'Fox', value: 3, currency: 'gems', purchaseType: 'eggs', locked: true },
+        ],
+      },
+      {
+        identifier: 'potions',
+        text: 'Potions',
+        items: [{ key: 'potion', text: 'Health Potion', value: 25, currency: 'gold', purchaseType: 'potions' }],
+      },
+    ],
+  },
+  questShop: {
+    identifier: 'questShop',
+    categories: [
+      {
+        identifier: 'unlockable',
+        text: 'Quests',
+        items: [{ key: 'atom1', text: 'Attack of the Mundane', value: 100, currency: 'gold', purchaseType: 'quests' }],
+      },
+    ],
+  },
+};
+
+function createTask(data) {
+  const task = {
+    id: crypto.randomUUID(),
+    type: data.type,
+    text: data.text,
+    notes: data.notes || '',
+    priority: data.priority ?? 1,
+    attribute: data.attribute || 'str',
+    tags: data.tags || [],
+    value: data.value ?? 0,
+    completed: false,
+    challenge: data.challenge || {},
+    createdAt: new Date().toISOString(),
+    ...data,
+  };
+  task.checklist = (data.checklist || []).map(item => ({ id: crypto.randomUUID(), completed: false, ...item }));
+  if (task.type === 'habit' || task.type === 'daily') {
+    task.history = data.history || [];
+  }
+  if (task.type === 'habit') {
+    task.up = data.up ?? true;
+    task.down = data.down ?? false;
+    task.counterUp = data.counterUp ?? 0;
+    task.counterDown = data.counterDown ?? 0;
+  }
+  if (task.type === 'daily') {
+    task.frequency = data.frequency || 'weekly';
+    task.everyX = data.everyX ?? 1;
+    task.repeat = data.repeat || { su: true, m: true, t: true, w: true, th: true, f: true, s: true };
+    task.streak = data.streak ?? 0;
+    task.isDue = data.isDue ?? true;
+  }
+  if (task.type === 'reward' && data.value === undefined) {
+    task.value = 10;
+  }
+  return task;
+}
+
+// 各類任務的 ID 順序，與 Habitica 的 user.tasksOrder 相同（日常為 dailys）
+function getTasksOrder(account) {
+  const ids = type => account.tasks.filter(task => task.type === type).map(task => task.id);
+  return { habits: ids('habit'), dailys: ids('daily'), todos: ids('todo'), rewards: ids('reward') };
+}
+
+function createAccount(id, apiToken, overrides = {}) {
+  const work = { id: crypto.randomUUID(), name: 'Work' };
+  const health = { id: crypto.randomUUID(), name: 'Health' };
+  const inTwoDays = new Date(Date.now() + 2 * DAY_MS).toISOString();
+  const daysAgo = days => Date.now() - days * DAY_MS;
+  // 過去 10 天每天正向一次，5 天前另有一次負向；分值由 10 降到 0
+  const habitHistory = Array.from({ length: 10 }, (_, index) => index + 1).reverse()
+    .map(days => ({ date: daysAgo(days), value: days, scoredUp: 1, scoredDown: days === 5 ? 1 : 0 }));
+  // 過去 14 天：最近 4 天連續完成，更早的日子隔天完成；分值由 0 升到 13
+  // 與 Habitica 相同，每筆記錄在隔天結算（UTC 午夜後一分鐘）時寫入
+  const cronAt = days => Math.floor(Date.now() / DAY_MS) * DAY_MS - (days - 1) * DAY_MS + 60 * 1000;
+  const dailyHistory = Array.from({ length: 14 }, (_, index) => index + 1).reverse()
+    .map(days => ({ date: cronAt(days), value: 14 - days, isDue: true, completed: days <= 4 || days % 2 === 0 }));
+
+  return {
+    apiToken,
+    tags: [work, health],
+    tasks: [
+      createTask({ type: 'habit', text: 'Drink water', tags: [health.id], counterUp: 3, history: habitHistory }),
+      createTask({ type: 'daily', text: 'Morning run', priority: 1.5, tags: [health.id], streak: 4, value: 13, history: dailyHistory }),
+      createTask({
+        type: 'todo',
+        text: 'Write report',
+        notes: 'Quarterly numbers',
+        tags: [work.id],
+        date: inTwoDays,
+        checklist: [{ text: 'Collect data' }, { text: 'Draft' }],
+      }),
+      createTask({ type: 'reward', text: 'Watch a movie', value: 10 }),
+    ],
+    // 今天完成一項、40 天前完成一項
+    completedTodos: [
+      createTask({ type: 'todo', text: 'File taxes', completed: true, dateCompleted: new Date().toISOString() }),
+      createTask({ type: 'todo', text: 'Renew passport', completed: true, dateCompleted: new Date(daysAgo(40)).toISOString() }),
+    ],
+    notifications: [
+      { id: crypto.randomUUID(), type: 'NEW_CHAT_MESSAGE', seen: false, data: { group: { id: 'party-1', name: 'Heroes' } } },
+    ],
+    inbox: [
+      { id: crypto.randomUUID(), text: 'Ready for the quest?', timestamp: Date.now() - 60 * 1000, user: 'Bob', username: 'bob', uuid: OTHER_USER_ID, sent: false },
+      { id: crypto.randomUUID(), text: 'Almost!', timestamp: Date.now() - 2 * 60 * 1000, user: 'Bob', username: 'bob', uuid: OTHER_USER_ID, sent: true },
+    ],
+    user: {
+      id,
+      profile: { name: 'Alice' },
+      auth: {
+        local: { username: 'alice' },
+        timestamps: { created: '2024-01-01T00:00:00.000Z', loggedin: new Date().toISOString() },
+      },
+      stats: { class: 'warrior', lvl: 12, hp: 40, maxHealth: 50, mp: 30, maxMP: 50, exp: 100, toNextLevel: 300, gp: 100 },
+      balance: 5,
+      party: { _id: 'party-1' },
+      guilds: ['guild-1'],
+      preferences: { dayStart: 0, timezoneOffset: 0 },
+      inbox: { newMessages: 1 },
+      items: {
+        eggs: { Wolf: 2 },
+        hatchingPotions: { Base: 1, Red: 0 },
+        food: { Meat: 3 },
+        quests: { dilatory: 1 },
+        special: {},
+        gear: { owned: { weapon_warrior_0: true }, equipped: { weapon: 'weapon_warrior_0' } },
+        pets: { 'Fox-Red': 5 },
+        mounts: { 'Fox-Base': true },
+        currentPet: '',
+        currentMount: '',
+      },
+      ...overrides,
+    },
+  };
+}
+
+// 創建測試用的 Habitica API
+// 回傳 { app, state, requests, listen(), close() }，listen() 回傳 API base URL
+export function createFakeHabitica() {
+  const state = {
+    accounts: new Map([
+      [USER_ID, createAccount(USER_ID, API_TOKEN)],
+      [OTHER_USER_ID, createAccount(OTHER_USER_ID, OTHER_API_TOKEN, { profile: { name: 'Bob' }, party: {}, guilds: [] })],
+    ]),
+    party: {
+      _id: 'party-1',
+      name: 'Heroes',
+      type: 'party',
+      memberCount: 2,
+      leader: { _id: USER_ID, profile: { name: 'Alice' } },
+      quest: {},
+      chat: [{ id: crypto.randomUUID(), user: 'Bob', text: 'Hello party', timestamp: Date.now() - DAY_MS }],
+    },
+    guilds: [
+      {
+        _id: 'guild-1',
+        name: 'Coders',
+        summary: 'We write code',
+        description: 'A guild for programmers',
+        privacy: 'public',
+        memberCount: 42,
+        leader: { _id: 'user-9', profile: { name: 'Zed' } },
+        members: [USER_ID],
+        chat: [{ id: crypto.randomUUID(), user: 'Zed', text: 'Welcome!', timestamp: Date.now() - DAY_MS }],
+      },
+      {
+        _id: 'guild-2',
+        name: 'Writers',
+        summary: 'Daily writing',
+        privacy: 'public',
+        memberCount: 7,
+        leader: { _id: OTHER_USER_ID, profile: { name: 'Bob' } },
+        members: [OTHER_USER_ID],
+        chat: [],
+      },
+    ],
+    challenges: [
+      {
+        _id: 'challenge-1',
+        name: '30 Days Fit',
+        shortName: 'fit30',
+        summary: 'Move every day',
+        memberCount: 10,
+        prize: 4,
+        group: { _id: 'guild-1', name: 'Coders' },
+        leader: USER_ID,
+        members: [USER_ID],
+        tasks: [createTask({ type: 'daily', text: 'Stretch' })],
+      },
+      {
+        _id: 'challenge-2',
+        name: 'Read More',
+        shortName: 'read',
+        summary: 'One chapter a day',
+        memberCount: 3,
+        prize: 0,
+        group: { _id: 'guild-2', name: 'Writers' },
+        leader: OTHER_USER_ID,
+        members: [OTHER_USER_ID],
+        tasks: [createTask({ type: 'todo', text: 'Finish a book' })],
+      },
+    ],
+    // 每個帳號每個時間窗的請求上限（Habitica 實際為每分鐘 30 次，測試預設放寬）
+    // omitLimitHeader 為 true 時不回傳 X-RateLimit-Limit
+    rateLimit: { limit: 1000, windowMs: 60 * 1000, omitLimitHeader: false },
+    // 預先安排的錯誤回應：{ method?, path, status, headers?, times }
+    faults: [],
+  };
+  const requests = [];
+
+  const app = express();
+  app.use(express.json());
+
+  const router = express.Router();
+
+  // 依 x-api-user / x-api-key 驗證並取得帳號
+  router.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+    const account = state.accounts.get(req.headers['x-api-user']);
+    if (!account || account.apiToken !== req.headers['x-api-key']) {
+      return next(notAuthorized('There is no account that uses those credentials.'));
+    }
+    req.account = account;
+
+    // 速率限制標頭與 429
+    const now = Date.now();
+    if (!account.rateLimit || account.rateLimit.resetAt <= now) {
+      account.rateLimit = { used: 0, resetAt: now + state.rateLimit.windowMs };
+    }
+    account.rateLimit.used += 1;
+    const remaining = Math.max(0, state.rateLimit.limit - account.rateLimit.used);
+    res.set({
+      'X-RateLimit-Remaining': String(remaining),
+      'X-RateLimit-Reset': new Date(account.rateLimit.resetAt).toString(),
+    });
+    if (!state.rateLimit.omitLimitHeader) {
+      res.set('X-RateLimit-Limit', String(state.rateLimit.limit));
+    }
+    if (account.rateLimit.used > state.rateLimit.limit) {
+      res.set('Retry-After', String(Math.ceil((account.rateLimit.resetAt - now) / 1000)));
+      return next(new HabiticaError(429, 'TooManyRequests', 'Too many requests, please wait.'));
+    }
+
+    const fault = state.faults.find(item => item.path === req.path && (!item.method || item.method === req.method));
+    if (fault) {
+      fault.times -= 1;
+      if (fault.times <= 0) state.faults.splice(state.faults.indexOf(fault), 1);
+      res.set(fault.headers || {});
+      return next(new HabiticaError(fault.status, fault.error || 'Fault', fault.message || `Injected ${fault.status}`));
+    }
+
+    next();
+  });
+
+  const ok = (res, data) => res.json({ success: true, data });
+  const findTask = (account, taskId) => {
+    const task = [...account.tasks, ...account.completedTodos].find(task => task.id === taskId || task.alias === taskId);
+    if (!task) throw notFound('Task not found.');
+    return task;
+  };
+  const findChecklistItem = (task, itemId) => {
+    const item = (task.checklist || []).find(item => item.id === itemId);
+    if (!item) throw notFound('Checklist item not found.');
+    return item;
+  };
+  const findGroup = (groupId) => {
+    const group = groupId === 'party' || groupId === state.party._id
+      ? state.party
+      : state.guilds.find(guild => guild._id === groupId);
+    if (!group) throw notFound('Group not found or you don\'t have access.');
+    return group;
+  };
+  const findChallenge = (challengeId) => {
+    const challenge = state.challenges.find(challenge => challenge._id === challengeId);
+    if (!challenge) throw notFound('Challenge not found.');
+    return challenge;
+  };
+  const publicGroup = ({ members, chat, ...group }) => group;
+  const publicChallenge = ({ members, tasks, ...challenge }) => challenge;
+
+  // 用戶
+  router.get('/user', (req, res) => {
+    // tasksOrder 依目前的任務即時產生
+    const user = { ...req.account.user, tasksOrder: getTasksOrder(req.account) };
+    if (!req.query.userFields) return ok(res, user);
+
+    // userFields 以逗號分隔，支援 items.pets 這類巢狀路徑
+    const selected = { id: user.id };
+    req.query.userFields.split(',').forEach(field => {
+      const keys = field.split('.');
+      const value = keys.reduce((object, key) => object?.[key], user);
+      if (value === undefined) return;
+      let target = selected;
+      keys.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[keys[keys.length - 1]] = value;
+    });
+    ok(res, selected);
+  });
+
+  router.post('/user/buy/:key', (req, res) => {
+    const { user } = req.account;
+    const item = content.gear.flat[req.params.key] || content[req.params.key];
+    if (!item) throw notFound(`Item "${req.params.key}" not found.`);
+    const quantity = req.body?.quantity || 1;
+    if (user.stats.gp < item.value * quantity) throw notAuthorized('Not enough Gold.');
+    user.stats.gp -= item.value * quantity;
+    if (content.gear.flat[req.params.key]) user.items.gear.owned[req.params.key] = true;
+    if (req.params.key === 'potion') user.stats.hp = Math.min(user.stats.maxHealth, user.stats.hp + 15 * quantity);
+    ok(res, user.stats);
+  });
+
+  router.post('/user/equip/:type/:key', (req, res) => {
+    const { items } = req.account.user;
+    const { type, key } = req.params;
+    if (type === 'pet') {
+      if (!items.pets[key]) throw notFound(`You do not own the pet ${key}.`);
+      items.currentPet = items.currentPet === key ? '' : key;
+    } else if (type === 'mount') {
+      if (!items.mounts[key]) throw notFound(`You do not own the mount ${key}.`);
+      items.currentMount = items.currentMount === key ? '' : key;
+    } else {
+      if (!items.gear.owned[key]) throw notFound(`You do not own the item ${key}.`);
+      items.gear.equipped.weapon = key;
+    }
+    ok(res, items);
+  });
+
+  router.post('/user/feed/:pet/:food', (req, res) => {
+    const { items } = req.account.user;
+    const { pet, food } = req.params;
+    if (!items.pets[pet]) throw notFound(`You do not own the pet ${pet}.`);
+    if (!(items.food[food] > 0)) throw notFound(`You do not have any ${food}.`);
+    items.food[food] -= 1;
+    items.pets[pet] += 5;
+    res.json({ success: true, data: items.pets[pet], message: `${pet} really likes the ${food}!` });
+  });
+
+  router.post('/user/hatch/:egg/:hatchingPotion', (req, res) => {
+    const { items } = req.account.user;
+    const { egg, hatchingPotion } = req.params;
+    const pet = `${egg}-${hatchingPotion}`;
+    if (!(items.eggs[egg] > 0) || !(items.hatchingPotions[hatchingPotion] > 0)) {
+      throw notFound('You do not have that egg or hatching potion.');
+    }
+    if (items.pets[pet]) throw notAuthorized('You already have that pet.');
+    items.eggs[egg] -= 1;
+    items.hatchingPotions[hatchingPotion] -= 1;
+    items.pets[pet] = 5;
+    ok(res, items);
+  });
+
+  router.post('/user/class/cast/:spellId', (req, res) => {
+    const { user } = req.account;
+    const spell = content.spells[user.stats.class]?.[req.params.spellId];
+    if (!spell) throw notFound('Skill not found.');
+    if (user.stats.mp < spell.mana) throw notAuthorized('Not enough mana.');
+    user.stats.mp -= spell.mana;
+    ok(res, { user: { stats: user.stats } });
+  });
+
+  router.post('/user/mark-pms-read', (req, res) => {
+    req.account.user.inbox.newMessages = 0;
+    ok(res, {});
+  });
+
+  router.delete('/user/messages/:messageId', (req, res) => {
+    const { account } = req;
+    if (!account.inbox.some(message => message.id === req.params.messageId)) throw notFound('Message not found.');
+    account.inbox = account.inbox.filter(message => message.id !== req.params.messageId);
+    ok(res, {});
+  });
+
+  // 任務
+  router.get('/tasks/user', (req, res) => {
+    const { account } = req;
+    const type = req.query.type;
+    if (type === 'completedTodos') return ok(res, account.completedTodos);
+    ok(res, type ? account.tasks.filter(task => `${task.type}s` === type) : account.tasks);
+  });
+
+  router.post('/tasks/user', (req, res) => {
+    if (!['habit', 'daily', 'todo', 'reward'].includes(req.body.type) || !req.body.text) {
+      throw badRequest('Task validation failed: type and text are required.');
+    }
+    if (req.body.alias && [...req.account.tasks, ...req.account.completedTodos].some(task => task.alias === req.body.alias)) {
+      throw badRequest('Task alias already used on another task.');
+    }
+    const task = createTask(req.body);
+    req.account.tasks.push(task);
+    ok(res, task);
+  });
+
+  router.get('/tasks/:taskId', (req, res) => ok(res, findTask(req.account, req.params.taskId)));
+
+  router.put('/tasks/:taskId', (req, res) => {
+    const task = findTask(req.account, req.params.taskId);
+    Object.assign(task, req.body);
+    ok(res, task);
+  });
+
+  router.delete('/tasks/:taskId', (req, res) => {
+    const { account } = req;
+    const task = findTask(account, req.params.taskId);
+    account.tasks = account.tasks.filter(item => item !== task);
+    account.completedTodos = account.completedTodos.filter(item => item !== task);
+    ok(res, {});
+  });
+
+  router.post('/tasks/:taskId/score/:direction', (req, res) => {
+    const { account } = req;
+    const { stats } = account.user;
+    const task = findTask(account, req.params.taskId);
+    const up = req.params.direction === 'up';
+    const delta = up ? 1 : -1;
+
+    if (task.type === 'habit') {
+      task[up ? 'counterUp' : 'counterDown'] += 1;
+      if (!up) stats.hp -= 2;
+    } else if (task.type === 'reward') {
+      if (stats.gp < task.value) throw notAuthorized('Not enough Gold.');
+      stats.gp -= task.value;
+    } else {
+      task.completed = up;
+      if (task.type === 'daily') task.streak = Math.max(0, task.streak + delta);
+      // 已完成的待辦移到 completedTodos
+      if (task.type === 'todo') {
+        account.tasks = account.tasks.filter(item => item !== task);
+        account.completedTodos = account.completedTodos.filter(item => item !== task);
+        (up ? account.completedTodos : account.tasks).push(task);
+        if (up) {
+          task.dateCompleted = new Date().toISOString();
+        } else {
+          delete task.dateCompleted;
+        }
+      }
+    }
+    task.value += delta;
+    if (task.type !== 'reward') {
+      stats.exp += 5 * delta;
+      stats.gp += 2 * delta;
+    }
+    ok(res, { ...stats, delta, exp: stats.exp, gp: stats.gp });
+  });
+
+  router.post('/tasks/:taskId/checklist', (req, res) => {
+    const task = findTask(req.account, req.params.taskId);
+    task.checklist.push({ id: crypto.randomUUID(), text: req.body.text, completed: !!req.body.completed });
+    ok(res, task);
+  });
+
+  router.put('/tasks/:taskId/checklist/:itemId', (req, res) => {
+    const task = findTask(req.account, req.params.taskId);
+    const item = findChecklistItem(task, req.params.itemId);
+    if (req.body.text !== undefined) item.text = req.body.text;
+    if (req.body.completed !== undefined) item.completed = req.body.completed;
+    ok(res, task);
+  });
+
+  router.delete('/tasks/:taskId/checklist/:itemId', (req, res) => {
+    const task = findTask(req.account, req.params.taskId);
+    findChecklistItem(task, req.params.itemId);
+    task.checklist = task.checklist.filter(item => item.id !== req.params.itemId);
+    ok(res, task);
+  });
+
+  router.post('/tasks/:taskId/checklist/:itemId/score', (req, res) => {
+    const task = findTask(req.account, req.params.taskId);
+    const item = findChecklistItem(task, req.params.itemId);
+    item.completed = !item.completed;
+    ok(res, task);
+  });
+
+  router.post('/tasks/:taskId/tags/:tagId', (req, res) => {
+    const task = findTask(req.account, req.params.taskId);
+    if (!req.account.tags.some(tag => tag.id === req.params.tagId)) throw notFound('Tag not found.');
+    if (task.tags.includes(req.params.tagId)) throw badRequest('The task is already tagged with given tag.');
+    task.tags.push(req.params.tagId);
+    ok(res, task.tags);
+  });
+
+  router.delete('/tasks/:taskId/tags/:tagId', (req, res) => {
+    const task = findTask(req.account, req.params.taskId);
+    if (!task.tags.includes(req.params.tagId)) throw notFound('Tag not found.');
+    task.tags = task.tags.filter(tagId => tagId !== req.params.tagId);
+    ok(res, task.tags);
+  });
+
+  router.get('/tasks/challenge/:challengeId', (req, res) => ok(res, findChallenge(req.params.challengeId).tasks));
+
+  router.post('/tasks/challenge/:challengeId', (req, res) => {
+    const challenge = findChallenge(req.params.challengeId);
+    const task = createTask({ ...req.body, challenge: { id: challenge._id } });
+    challenge.tasks.push(task);
+    ok(res, task);
+  });
+
+  // 標籤
+  router.get('/tags', (req, res) => ok(res, req.account.tags));
+
+  router.post('/tags', (req, res) => {
+    const tag = { id: crypto.randomUUID(), name: req.body.name };
+    req.account.tags.push(tag);
+    ok(res, tag);
+  });
+
+  // 商店、內容與通知
+  router.get('/content', (req, res) => ok(res, content));
+
+  router.get('/shops/:shopType', (req, res) => {
+    const shop = shops[req.params.shopType];
+    if (!shop) throw notFound('Shop not found.');
+    ok(res, shop);
+  });
+
+  router.get('/notifications', (req, res) => ok(res, req.account.notifications));
+
+  router.post('/notifications/:notificationId/read', (req, res) => {
+    const { account } = req;
+    if (!account.notifications.some(notification => notification.id === req.params.notificationId)) {
+      throw notFound('Notification not found.');
+    }
+    account.notifications = account.notifications.filter(notification => notification.id !== req.params.notificationId);
+    ok(res, account.notifications);
+  });
+
+  // 隊伍與任務（副本）
+  router.get('/groups/party', (req, res) => ok(res, publicGroup(state.party)));
+
+  router.get('/groups/party/members', (req, res) => {
+    ok(res, [...state.accounts.values()].map(({ user }) => ({ _id: user.id, profile: user.profile, stats: user.stats })));
+  });
+
+  router.post('/groups/party/quests/invite/:questKey', (req, res) => {
+    const { user } = req.account;
+    if (state.party.quest.key) throw notAuthorized('Your party is already on a quest.');
+    if (!(user.items.quests[req.params.questKey] > 0)) throw notAuthorized('You don\'t own that quest scroll.');
+    state.party.quest = { key: req.params.questKey, active: false, leader: user.id, members: { [user.id]: true, [OTHER_USER_ID]: null }, progress: {} };
+    ok(res, state.party.quest);
+  });
+
+  router.post('/groups/party/quests/:action', (req, res) => {
+    const { quest } = state.party;
+    const userId = req.account.user.id;
+    if (!quest.key) throw notFound('No quest found.');
+
+    switch (req.params.action) {
+      case 'accept':
+      case 'reject':
+        if (quest.active) throw notAuthorized('The quest has already started.');
+        quest.members[userId] = req.params.action === 'accept';
+        break;
+      case 'force-start':
+        quest.active = true;
+        quest.progress = { hp: content.quests[quest.key]?.boss?.hp, collect: {} };
+        break;
+      case 'cancel':
+        if (quest.active) throw notAuthorized('Cannot cancel an active quest, use abort instead.');
+        state.party.quest = {};
+        break;
+      case 'abort':
+        if (!quest.active) throw notAuthorized('No active quest to abort.');
+        state.party.quest = {};
+        break;
+      case 'leave':
+        if (quest.leader === userId) throw notAuthorized('Quest owner cannot leave quest.');
+        delete quest.members[userId];
+        break;
+      default:
+        throw notFound('Not found.');
+    }
+    ok(res, state.party.quest);
+  });
+
+  // 公會
+  router.get('/groups', (req, res) => {
+    const userId = req.account.user.id;
+    let guilds = req.query.type === 'guilds'
+      ? state.guilds.filter(guild => guild.members.includes(userId))
+      : state.guilds.filter(guild => guild.privacy === 'public');
+    if (req.query.search) {
+      const search = req.query.search.toLowerCase();
+      guilds = guilds.filter(guild => guild.name.toLowerCase().includes(search));
+    }
+    ok(res, guilds.map(publicGroup));
+  });
+
+  router.get('/groups/:groupId', (req, res) => ok(res, publicGroup(findGroup(req.params.groupId))));
+
+  router.post('/groups/:groupId/join', (req, res) => {
+    const guild = findGroup(req.params.groupId);
+    const userId = req.account.user.id;
+    if (guild.members.includes(userId)) throw notAuthorized('You are already a member of this group.');
+    guild.members.push(userId);
+    guild.memberCount += 1;
+    ok(res, publicGroup(guild));
+  });
+
+  router.post('/groups/:groupId/leave', (req, res) => {
+    const guild = findGroup(req.params.groupId);
+    const userId = req.account.user.id;
+    if (!guild.members.includes(userId)) throw notFound('You are not a member of this group.');
+    guild.members = guild.members.filter(memberId => memberId !== userId);
+    guild.memberCount -= 1;
+    ok(res, {});
+  });
+
+  router.get('/groups/:groupId/chat', (req, res) => {
+    // Habitica 按時間倒序回傳聊天訊息
+    ok(res, [...findGroup(req.params.groupId).chat].sort((a, b) => b.timestamp - a.timestamp));
+  });
+
+  router.post('/groups/:groupId/chat', (req, res) => {
+    const group = findGroup(req.params.groupId);
+    if (!req.body.message) throw badRequest('Message is required.');
+    const message = { id: crypto.randomUUID(), user: req.account.user.profile.name, text: req.body.message, timestamp: Date.now() };
+    group.chat.push(message);
+    ok(res, { message });
+  });
+
+  // 挑戰
+  router.get('/challenges/user', (req, res) => {
+    const userId = req.account.user.id;
+    let challenges = req.query.member === 'true'
+      ? state.challenges.filter(challenge => challenge.members.includes(userId))
+      : state.challenges;
+    if (req.query.search) {
+      const search = req.query.search.toLowerCase();
+      challenges = challenges.filter(challenge => challenge.name.toLowerCase().includes(search));
+    }
+    ok(res, challenges.map(publicChallenge));
+  });
+
+  router.post('/challenges', (req, res) => {
+    const group = findGroup(req.body.group);
+    if (!req.body.name || !req.body.shortName) throw badRequest('Challenge validation failed.');
+    const challenge = {
+      _id: crypto.randomUUID(),
+      name: req.body.name,
+      shortName: req.body.shortName,
+      summary: req.body.summary,
+      description: req.body.description,
+      prize: req.body.prize || 0,
+      memberCount: 1,
+      group: { _id: group._id, name: group.name },
+      leader: req.account.user.id,
+      members: [req.account.user.id],
+      tasks: [],
+    };
+    req.account.user.balance -= challenge.prize / 4;
+    state.challenges.push(challenge);
+    ok(res, publicChallenge(challenge));
+  });
+
+  router.get('/challenges/:challengeId', (req, res) => ok(res, publicChallenge(findChallenge(req.params.challengeId))));
+
+  router.put('/challenges/:challengeId', (req, res) => {
+    const challenge = findChallenge(req.params.challengeId);
+    if (challenge.leader !== req.account.user.id) throw notAuthorized('Only the challenge leader can update it.');
+    ['name', 'summary', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) challenge[field] = req.body[field];
+    });
+    ok(res, publicChallenge(challenge));
+  });
+
+  router.post('/challenges/:challengeId/join', (req, res) => {
+    const challenge = findChallenge(req.params.challengeId);
+    const userId = req.account.user.id;
+    if (challenge.members.includes(userId)) throw notAuthorized('You are already participating in this challenge.');
+    challenge.members.push(userId);
+    challenge.memberCount += 1;
+    challenge.tasks.forEach(task => req.account.tasks.push(createTask({ ...task, id: undefined, challenge: { id: challenge._id } })));
+    ok(res, publicChallenge(challenge));
+  });
+
+  router.post('/challenges/:challengeId/leave', (req, res) => {
+    const challenge = findChallenge(req.params.challengeId);
+    const { account } = req;
+    if (!challenge.members.includes(account.user.id)) throw notFound('You are not participating in this challenge.');
+    challenge.members = challenge.members.filter(memberId => memberId !== account.user.id);
+    challenge.memberCount -= 1;
+    if (req.body.keep === 'remove-all') {
+      account.tasks = account.tasks.filter(task => task.challenge?.id !== challenge._id);
+    }
+    ok(res, {});
+  });
+
+  router.post('/challenges/:challengeId/selectWinner/:winnerId', (req, res) => {
+    const challenge = findChallenge(req.params.challengeId);
+    if (challenge.leader !== req.account.user.id) throw notAuthorized('Only the challenge leader can select a winner.');
+    if (!challenge.members.includes(req.params.winnerId)) throw notFound('Winner not found.');
+    state.challenges = state.challenges.filter(item => item !== challenge);
+    ok(res, {});
+  });
+
+  router.get('/challenges/:challengeId/export/csv', (req, res) => {
+    const challenge = findChallenge(req.params.challengeId);
+    const rows = challenge.members.map(memberId => `${memberId},${state.accounts.get(memberId)?.user.profile.name || ''}`);
+    res.type('text/csv').send(['UUID,name', ...rows].join('\n'));
+  });
+
+  // 私信
+  router.get('/inbox/messages', (req, res) => {
+    const page = Number(req.query.page) || 0;
+    const messages = [...req.account.inbox].sort((a, b) => b.timestamp - a.timestamp);
+    ok(res, messages.slice(page * 10, page * 10 + 10));
+  });
+
+  router.post('/members/send-private-message', (req, res) => {
+    const recipient = state.accounts.get(req.body.toUserId);
+    if (!recipient) throw notFound('User not found.');
+    if (!req.body.message) throw badRequest('Message is required.');
+    const { user } = req.account;
+    const message = { id: crypto.randomUUID(), text: req.body.message, timestamp: Date.now() };
+    req.account.inbox.push({ ...message, user: recipient.user.profile.name, uuid: recipient.user.id, sent: true });
+    recipient.inbox.push({ ...message, id: crypto.randomUUID(), user: user.profile.name, uuid: user.id, sent: false });
+    recipient.user.inbox.newMessages += 1;
+    ok(res, { message });
+  });
+
+  app.use('/api/v3', router);
+
+  app.use((req, res, next) => next(notFound(`Not found: ${req.method} ${req.path}`)));
+
+  app.use((error, req, res, next) => {
+    const status = error.status || 500;
+    res.status(status).json({ success: false, error: error.error || 'InternalServerError', message: error.message });
+  });
+
+  let server;
+
+  return {
+    app,
+    state,
+    requests,
+    // 在隨機埠啟動，回傳 API base URL
+    listen() {
+      return new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}/api/v3`);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// 測試輔助：啟動替身 Habitica 與真實的 MCP 服務器子行程，並以 MCP 客戶端連線 /mcp
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createFakeHabitica, USER_ID, API_TOKEN } from './fake-habitica.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+const STARTUP_TIMEOUT = 10000;
+
+// 取得一個空閒的埠號
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// 輪詢 /health 直到服務器可用
+async function waitForServer(baseUrl, child) {
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`MCP server exited with code ${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return;
+    } catch {
+      // 尚未開始監聽
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('MCP server did not start in time');
+}
+
+// 以指定的 Habitica 憑證建立 MCP 客戶端
+export async function connectClient(mcpUrl, { userId = USER_ID, apiToken = API_TOKEN } = {}) {
+  const client = new Client({ name: 'habitica-mcp-test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(mcpUrl), {
+    requestInit: {
+      headers: {
+        'X-Habitica-User': userId,
+        'X-Habitica-Token': apiToken,
+      },
+    },
+  });
+  await client.connect(transport);
+
+  // 調用工具並回傳合併後的文字、isError 與 _meta
+  async function call(name, args = {}) {
+    const result = await client.callTool({ name, arguments: args });
+    return {
+      text: result.content.map(item => item.text).join('\n'),
+      isError: !!result.isError,
+      meta: result._meta,
+    };
+  }
+
+  // 調用需確認的工具：先取得預覽，再帶上 confirmationToken 執行；預覽失敗時直接回傳
+  async function callConfirmed(name, args = {}) {
+    const preview = await call(name, args);
+    const token = preview.text.match(/confirmationToken="([^"]+)"/)?.[1];
+    if (preview.isError || !token) return preview;
+    return call(name, { ...args, confirmationToken: token });
+  }
+
+  return {
+    client,
+    call,
+    callConfirmed,
+    close: () => client.close(),
+  };
+}
+
+// 啟動替身 Habitica 與 MCP 服務器
+// 回傳 { fake, baseUrl, mcpUrl, call, callConfirmed, connect, stop }
+export async function startServer({ env = {} } = {}) {
+  const fake = createFakeHabitica();
+  const apiBase = await fake.listen();
+  const port = await getFreePort();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'habitica-mcp-test-'));
+
+  const childEnv = {
+    ...process.env,
+    PORT: String(port),
+    HOST: '127.0.0.1',
+    HABITICA_API_BASE: apiBase,
+    HABITICA_MCP_DATA_DIR: dataDir,
+    RATE_LIMIT_MAX: '100000',
+    HABITICA_RETRY_BASE_DELAY_MS: '10',
+    MCP_LANG: 'en',
+    ...env,
+  };
+  delete childEnv.MCP_API_KEY;
+  delete childEnv.ALLOWED_IPS;
+  delete childEnv.HABITICA_USER_ID;
+  delete childEnv.HABITICA_API_TOKEN;
+  delete childEnv.MCP_TRANSPORT;
+
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: childEnv,
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  let stderr = '';
+  child.stderr.on('data', chunk => {
+    stderr += chunk;
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const mcpUrl = `${baseUrl}/mcp`;
+  const clients = [];
+
+  async function stop() {
+    await Promise.all(clients.map(client => client.close().catch(() => {})));
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await fake.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+
+  try {
+    await waitForServer(baseUrl, child);
+  } catch (error) {
+    await stop();
+    error.message += `\n${stderr}`;
+    throw error;
+  }
+
+  async function connect(credentials) {
+    const connection = await connectClient(mcpUrl, credentials);
+    clients.push(connection);
+    return connection;
+  }
+
+  const { call, callConfirmed } = await connect();
+
+  return { fake, baseUrl, mcpUrl, dataDir, call, callConfirmed, connect, stop };
+}
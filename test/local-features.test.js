@@ -0,0 +1,260 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+import { USER_ID } from './fake-habitica.js';
+
+let server;
+let account;
+
+const findTask = text => [...account.tasks, ...account.completedTodos].find(task => task.text === text);
+const getConfirmationToken = text => text.match(/confirmationToken="([^"]+)"/)?.[1];
+
+before(async () => {
+  server = await startServer();
+  account = server.fake.state.accounts.get(USER_ID);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('task templates are saved, listed, applied and deleted', async () => {
+  const saved = await server.call('save_task_template', {
+    name: 'weekly-review',
+    description: 'Review the week',
+    tasks: [
+      { type: 'todo', text: 'Review {{week}}', tags: ['Work'] },
+      { type: 'todo', text: 'Plan {{ next }}' },
+    ],
+  });
+  assert.equal(saved.isError, false, saved.text);
+
+  const duplicate = await server.call('save_task_template', { name: 'weekly-review', tasks: [{ type: 'todo', text: 'x' }] });
+  assert.equal(duplicate.isError, true);
+
+  const listed = await server.call('list_task_templates');
+  assert.match(listed.text, /weekly-review/);
+  assert.match(listed.text, /\{\{week\}\}, \{\{next\}\}/);
+
+  const missingVariables = await server.call('apply_task_template', { name: 'weekly-review', variables: { week: 'W42' } });
+  assert.equal(missingVariables.isError, true);
+  assert.match(missingVariables.text, /next/);
+
+  const applied = await server.call('apply_task_template', { name: 'weekly-review', variables: { week: 'W42', next: 'W43' } });
+  assert.equal(applied.isError, false, applied.text);
+  assert.ok(findTask('Review W42'));
+  assert.ok(findTask('Plan W43'));
+
+  const deleted = await server.call('delete_task_template', { name: 'weekly-review' });
+  assert.equal(deleted.isError, false, deleted.text);
+
+  const gone = await server.call('apply_task_template', { name: 'weekly-review' });
+  assert.equal(gone.isError, true);
+});
+
+test('task dependencies warn when completing blocked todos', async () => {
+  await server.call('batch_create_tasks', {
+    tasks: [
+      { type: 'todo', text: 'Design' },
+      { type: 'todo', text: 'Build' },
+    ],
+  });
+  const design = findTask('Design');
+  const build = findTask('Build');
+
+  const linked = await server.call('link_task_dependency', { taskId: build.id, blockedBy: design.id });
+  assert.equal(linked.isError, false, linked.text);
+
+  const cycle = await server.call('link_task_dependency', { taskId: design.id, blockedBy: build.id });
+  assert.equal(cycle.isError, true);
+
+  const blocked = await server.call('get_blocked_tasks');
+  assert.match(blocked.text, /Build/);
+
+  const warned = await server.call('score_task', { taskId: build.id });
+  assert.equal(warned.isError, false, warned.text);
+  assert.match(warned.text, /Warning: still blocked/);
+
+  const unlinked = await server.call('unlink_task_dependency', { taskId: build.id, blockedBy: design.id });
+  assert.equal(unlinked.isError, false, unlinked.text);
+
+  const missing = await server.call('link_task_dependency', { taskId: build.id, blockedBy: 'missing-task' });
+  assert.equal(missing.isError, true);
+});
+
+test('task dependencies linked by alias are stored by task ID', async () => {
+  await server.call('create_task', { type: 'todo', text: 'Ship', alias: 'ship' });
+  await server.call('create_task', { type: 'todo', text: 'Test', alias: 'test-run' });
+  const ship = findTask('Ship');
+  const testRun = findTask('Test');
+
+  const linked = await server.call('link_task_dependency', { taskId: 'ship', blockedBy: 'test-run' });
+  assert.equal(linked.isError, false, linked.text);
+
+  const blocked = await server.call('get_blocked_tasks', { format: 'json' });
+  assert.match(blocked.text, new RegExp(`"id": "${ship.id}"`));
+
+  const cycle = await server.call('link_task_dependency', { taskId: testRun.id, blockedBy: ship.id });
+  assert.equal(cycle.isError, true);
+  assert.match(cycle.text, /Dependency would create a cycle/);
+
+  const self = await server.call('link_task_dependency', { taskId: 'ship', blockedBy: ship.id });
+  assert.match(self.text, /A task cannot depend on itself/);
+
+  const unlinked = await server.call('unlink_task_dependency', { taskId: 'ship', blockedBy: testRun.id });
+  assert.equal(unlinked.isError, false, unlinked.text);
+  assert.doesNotMatch((await server.call('get_blocked_tasks')).text, /Ship/);
+});
+
+test('undo_last_action restores deleted tasks and reverts scores', async () => {
+  await server.call('create_task', { type: 'todo', text: 'Undo me', checklist: [{ text: 'step' }] });
+  const task = findTask('Undo me');
+
+  const deleted = await server.callConfirmed('delete_task', { taskId: task.id });
+  assert.equal(deleted.isError, false, deleted.text);
+  assert.equal(findTask('Undo me'), undefined);
+
+  const undone = await server.call('undo_last_action');
+  assert.equal(undone.isError, false, undone.text);
+  const restored = findTask('Undo me');
+  assert.ok(restored);
+  assert.equal(restored.checklist[0].text, 'step');
+
+  await server.call('score_task', { taskId: restored.id });
+  assert.equal(restored.completed, true);
+
+  const unscored = await server.call('undo_last_action');
+  assert.equal(unscored.isError, false, unscored.text);
+  assert.equal(restored.completed, false);
+  assert.ok(account.tasks.includes(restored));
+
+  // 習慣的評分無法撤銷，不以反向評分扣生命
+  const habit = findTask('Drink water');
+  const counterDown = habit.counterDown;
+  await server.call('score_task', { taskId: habit.id });
+  const habitUndo = await server.call('undo_last_action');
+  assert.equal(habitUndo.isError, true);
+  assert.match(habitUndo.text, /Scoring habit "Drink water" cannot be undone/);
+  assert.equal(habit.counterDown, counterDown);
+});
+
+test('undo_last_action only undoes the most recent action and drops purchases', async () => {
+  account.user.stats.gp = 100;
+  await server.call('create_task', { type: 'todo', text: 'Before shopping' });
+  const todo = findTask('Before shopping');
+  await server.call('score_task', { taskId: todo.id });
+  const bought = await server.callConfirmed('buy_item', { itemKey: 'potion' });
+  assert.equal(bought.isError, false, bought.text);
+
+  const refused = await server.call('undo_last_action');
+  assert.equal(refused.isError, true);
+  assert.match(refused.text, /Could not undo the most recent action: Purchase of potion x1 cannot be undone/);
+  assert.equal(todo.completed, true);
+
+  const journal = JSON.parse(await fs.readFile(path.join(server.dataDir, 'action-journal.json'), 'utf8'));
+  assert.equal(journal[USER_ID].actions.at(-1).action, 'score');
+
+  const undone = await server.call('undo_last_action');
+  assert.equal(undone.isError, false, undone.text);
+  assert.equal(todo.completed, false);
+});
+
+test('score_task resolves aliases for dependency checks without extra reads', async () => {
+  await server.call('create_task', { type: 'todo', text: 'Deploy', alias: 'deploy' });
+  await server.call('create_task', { type: 'todo', text: 'Review' });
+  const deploy = findTask('Deploy');
+  const review = findTask('Review');
+  await server.call('link_task_dependency', { taskId: deploy.id, blockedBy: review.id });
+
+  const byAlias = await server.call('score_task', { taskId: 'deploy' });
+  assert.match(byAlias.text, /still blocked by incomplete tasks: Review/);
+
+  const reads = () => server.fake.requests.filter(request => request.method === 'GET' && request.path === `/tasks/${review.id}`).length;
+  const before = reads();
+  await server.call('score_task', { taskId: review.id });
+  assert.equal(reads(), before);
+});
+
+test('spending tools return a preview until confirmed', async () => {
+  account.user.stats.gp = 100;
+
+  const preview = await server.call('buy_item', { itemKey: 'potion' });
+  assert.equal(preview.isError, false, preview.text);
+  assert.match(preview.text, /Preview only/);
+  assert.equal(account.user.stats.gp, 100);
+
+  const token = getConfirmationToken(preview.text);
+  assert.ok(token);
+
+  const changed = await server.call('buy_item', { itemKey: 'armoire', confirmationToken: token });
+  assert.equal(changed.isError, true);
+  assert.equal(account.user.stats.gp, 100);
+
+  const retry = await server.call('buy_item', { itemKey: 'potion' });
+  const confirmed = await server.call('buy_item', { itemKey: 'potion', confirmationToken: getConfirmationToken(retry.text) });
+  assert.equal(confirmed.isError, false, confirmed.text);
+  assert.equal(account.user.stats.gp, 75);
+});
+
+test('MCP_REQUIRE_CONFIRMATION=false runs immediately unless previewed, block mode refuses blocked todos', async () => {
+  const dryRun = await startServer({ env: { MCP_REQUIRE_CONFIRMATION: 'false', TASK_DEPENDENCY_MODE: 'block' } });
+  try {
+    const dryAccount = dryRun.fake.state.accounts.get(USER_ID);
+    const [report] = dryAccount.tasks.filter(task => task.text === 'Write report');
+
+    const preview = await dryRun.call('delete_task', { taskId: report.id, preview: true });
+    assert.match(preview.text, /Preview only/);
+    assert.match(preview.text, /Write report/);
+    assert.ok(dryAccount.tasks.includes(report));
+
+    const confirmed = await dryRun.call('delete_task', { taskId: report.id, confirmationToken: getConfirmationToken(preview.text) });
+    assert.equal(confirmed.isError, false, confirmed.text);
+    assert.ok(!dryAccount.tasks.includes(report));
+
+    const habit = dryAccount.tasks.find(task => task.text === 'Drink water');
+    const immediate = await dryRun.call('delete_task', { taskId: habit.id });
+    assert.equal(immediate.isError, false, immediate.text);
+    assert.doesNotMatch(immediate.text, /Preview only/);
+    assert.ok(!dryAccount.tasks.includes(habit));
+
+    await dryRun.call('batch_create_tasks', {
+      tasks: [
+        { type: 'todo', text: 'First' },
+        { type: 'todo', text: 'Second' },
+      ],
+    });
+    const first = dryAccount.tasks.find(task => task.text === 'First');
+    const second = dryAccount.tasks.find(task => task.text === 'Second');
+    await dryRun.call('link_task_dependency', { taskId: second.id, blockedBy: first.id });
+
+    const refused = await dryRun.call('score_task', { taskId: second.id });
+    assert.equal(refused.isError, true);
+    assert.match(refused.text, /blocked by incomplete tasks/);
+    assert.equal(second.completed, false);
+  } finally {
+    await dryRun.stop();
+  }
+});
+
+test('local data tools verify the Habitica credentials first', async () => {
+  await server.call('save_task_template', { name: 'private', tasks: [{ type: 'todo', text: 'Secret plan' }] });
+  const intruder = await server.connect({ userId: USER_ID, apiToken: 'wrong-token' });
+
+  const listed = await intruder.call('list_task_templates');
+  assert.equal(listed.isError, true);
+  assert.match(listed.text, /There is no account that uses those credentials/);
+  assert.doesNotMatch(listed.text, /private/);
+
+  const deleted = await intruder.call('delete_task_template', { name: 'private' });
+  assert.equal(deleted.isError, true);
+  assert.match((await server.call('list_task_templates')).text, /private/);
+
+  const unlinked = await intruder.call('unlink_task_dependency', { taskId: findTask('Build').id, blockedBy: findTask('Design').id });
+  assert.match(unlinked.text, /There is no account that uses those credentials/);
+
+  const undone = await intruder.call('undo_last_action');
+  assert.equal(undone.isError, true);
+  assert.match(undone.text, /There is no account that uses those credentials/);
+});
@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+import { USER_ID, OTHER_USER_ID, OTHER_API_TOKEN } from './fake-habitica.js';
+
+let server;
+let state;
+let account;
+
+const countRequests = (method, path) => server.fake.requests.filter(request => request.method === method && request.path === path).length;
+
+before(async () => {
+  // 停用 /user 快取，讓每次 get_stats 都實際請求 Habitica
+  server = await startServer({ env: { USER_CACHE_TTL_SECONDS: '0' } });
+  state = server.fake.state;
+  account = state.accounts.get(USER_ID);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('tool responses carry the Habitica rate-limit budget', async () => {
+  const result = await server.call('get_stats');
+  assert.equal(result.isError, false, result.text);
+  assert.equal(result.meta.habiticaRateLimit.limit, state.rateLimit.limit);
+  assert.equal(result.meta.habiticaRateLimit.remaining, state.rateLimit.limit - account.rateLimit.used);
+  assert.doesNotMatch(result.text, /budget is low/);
+
+  const response = await fetch(`${server.baseUrl}/health`);
+  const health = await response.json();
+  assert.equal(health.habiticaRateLimit.trackedUsers, 1);
+  assert.equal(health.habiticaRateLimit.maxRetries, 3);
+});
+
+test('429 responses are retried after Retry-After', async () => {
+  const before = countRequests('GET', '/user');
+  state.faults.push({ method: 'GET', path: '/user', status: 429, headers: { 'Retry-After': '0' }, times: 2 });
+
+  const result = await server.call('get_stats');
+  assert.equal(result.isError, false, result.text);
+  assert.equal(countRequests('GET', '/user'), before + 3);
+});
+
+test('5xx responses are retried for reads but not for scoring', async () => {
+  const before = countRequests('GET', '/user');
+  state.faults.push({ method: 'GET', path: '/user', status: 503, times: 1 });
+  const read = await server.call('get_stats');
+  assert.equal(read.isError, false, read.text);
+  assert.equal(countRequests('GET', '/user'), before + 2);
+
+  const habit = account.tasks.find(task => task.text === 'Drink water');
+  const path = `/tasks/${habit.id}/score/up`;
+  state.faults.push({ method: 'POST', path, status: 502, times: 1 });
+  const scored = await server.call('score_task', { taskId: habit.id });
+  assert.equal(scored.isError, true);
+  assert.equal(countRequests('POST', path), 1);
+});
+
+test('gives up after the configured number of retries', async () => {
+  state.faults.push({ method: 'GET', path: '/tags', status: 429, headers: { 'Retry-After': '0' }, message: 'Too many requests, please wait.', times: 10 });
+
+  const result = await server.call('get_tags');
+  assert.equal(result.isError, true);
+  assert.match(result.text, /Too many requests/);
+  assert.equal(state.faults[0].times, 6);
+  state.faults.length = 0;
+});
+
+test('warns when the budget is low and waits for the reset when exhausted', async () => {
+  // 讓下一次回應剩餘 0 次，並在整秒重置（X-RateLimit-Reset 只精確到秒）
+  const resetAt = (Math.floor(Date.now() / 1000) + 2) * 1000;
+  account.rateLimit = { used: state.rateLimit.limit - 1, resetAt };
+
+  const low = await server.call('get_stats');
+  assert.equal(low.isError, false, low.text);
+  assert.equal(low.meta.habiticaRateLimit.remaining, 0);
+  assert.match(low.text, /Habitica API budget is low: 0\//);
+
+  const before = countRequests('GET', '/user');
+  const delayed = await server.call('get_stats');
+  assert.equal(delayed.isError, false, delayed.text);
+  assert.ok(Date.now() >= resetAt);
+  assert.equal(countRequests('GET', '/user'), before + 1);
+});
+
+test('waits for the reset when responses carry no limit header', async () => {
+  // 以另一個從未回傳過上限的帳號測試
+  state.rateLimit.omitLimitHeader = true;
+  const other = await server.connect({ userId: OTHER_USER_ID, apiToken: OTHER_API_TOKEN });
+  const resetAt = (Math.floor(Date.now() / 1000) + 2) * 1000;
+  state.accounts.get(OTHER_USER_ID).rateLimit = { used: state.rateLimit.limit - 1, resetAt };
+  try {
+    const low = await other.call('get_stats');
+    assert.equal(low.isError, false, low.text);
+    assert.match(low.text, /Habitica API budget is low: 0\/\?/);
+
+    // 重置時間過後不知道新的上限，捨棄舊額度而不是反覆等待
+    const delayed = await other.call('get_stats');
+    assert.equal(delayed.isError, false, delayed.text);
+    assert.ok(Date.now() >= resetAt);
+
+    const next = await other.call('get_stats');
+    assert.equal(next.isError, false, next.text);
+  } finally {
+    state.rateLimit.omitLimitHeader = false;
+  }
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+import { USER_ID } from './fake-habitica.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let account;
+let reportDir;
+
+const formatDay = day => new Date(day).toISOString().slice(0, 10);
+
+before(async () => {
+  server = await startServer();
+  account = server.fake.state.accounts.get(USER_ID);
+  reportDir = path.join(server.dataDir, 'reports');
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('generate_report summarizes the day', async () => {
+  const result = await server.call('generate_report', { period: 'day' });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /^# Habitica daily report: \d{4}-\d{2}-\d{2}/);
+  assert.match(result.text, /- Completed todos: 1/);
+  assert.match(result.text, /- File taxes \(/);
+  assert.doesNotMatch(result.text, /Renew passport/);
+  assert.match(result.text, /- Dailies completed: 0% \(0\/1\)/);
+  assert.match(result.text, /\| Morning run \| 0\/1 \| 0% \|/);
+  assert.match(result.text, /no earlier snapshot yet/);
+});
+
+test('generate_report shows stat changes since the first snapshot of the day', async () => {
+  // 第一次評分後記錄快照，間隔內的第二次評分不再記錄
+  const habit = account.tasks.find(task => task.text === 'Drink water');
+  await server.call('score_task', { taskId: habit.id });
+  const daily = account.tasks.find(task => task.text === 'Morning run');
+  const scored = await server.call('score_task', { taskId: daily.id });
+  assert.equal(scored.isError, false, scored.text);
+
+  const result = await server.call('generate_report', { period: 'day' });
+  assert.match(result.text, /- Dailies completed: 100% \(1\/1\)/);
+  assert.match(result.text, /XP \+5 \| Gold \+2 \| HP 0 \| Level-ups 0/);
+});
+
+test('generate_report covers past periods and counts level-ups', async () => {
+  const lastWeek = Date.now() - 7 * DAY_MS;
+  const monday = Math.floor(lastWeek / DAY_MS) * DAY_MS - ((new Date(lastWeek).getUTCDay() + 6) % 7) * DAY_MS;
+  // 上週一與本週一各一份快照
+  const snapshots = [
+    { at: new Date(monday).toISOString(), reason: 'schedule', stats: { lvl: 11, exp: 200, gp: 50, hp: 50 } },
+    { at: new Date(monday + 7 * DAY_MS).toISOString(), reason: 'schedule', stats: { lvl: 12, exp: 100, gp: 80, hp: 45 } },
+  ];
+  const filePath = path.join(server.dataDir, 'snapshots', `${USER_ID}.jsonl`);
+  await fs.appendFile(filePath, snapshots.map(snapshot => `${JSON.stringify(snapshot)}\n`).join(''));
+
+  const result = await server.call('generate_report', { period: 'week', date: formatDay(lastWeek) });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, new RegExp(`^# Habitica weekly report: ${formatDay(monday)} – ${formatDay(monday + 6 * DAY_MS)}`));
+  // 11 級升到 12 級需要 280 經驗：80 + 100
+  assert.match(result.text, /XP \+180 \| Gold \+30 \| HP -5 \| Level-ups 1/);
+  assert.doesNotMatch(result.text, /File taxes/);
+
+  const month = await server.call('generate_report', { period: 'month', date: formatDay(Date.now() - 40 * DAY_MS) });
+  assert.match(month.text, /- Renew passport \(/);
+});
+
+test('generate_report saves the report to a file', async () => {
+  const result = await server.call('generate_report', { period: 'month', saveToFile: true });
+  assert.equal(result.isError, false, result.text);
+
+  const filePath = result.text.match(/Report saved to (.+)$/m)[1];
+  assert.equal(path.dirname(filePath), path.join(reportDir, USER_ID));
+  assert.match(path.basename(filePath), /^month-\d{4}-\d{2}-01\.md$/);
+  const saved = await fs.readFile(filePath, 'utf8');
+  assert.match(saved, /^# Habitica monthly report/);
+});
+
+test('generate_report keeps reports of user IDs with path characters inside the report directory', async () => {
+  const userId = '../../escape';
+  server.fake.state.accounts.set(userId, { ...account, apiToken: 'escape-token' });
+  const escape = await server.connect({ userId, apiToken: 'escape-token' });
+
+  const result = await escape.call('generate_report', { period: 'day', saveToFile: true });
+  assert.equal(result.isError, false, result.text);
+  const filePath = result.text.match(/Report saved to (.+)$/m)[1];
+  assert.equal(path.dirname(filePath), path.join(reportDir, '______escape'));
+  await fs.access(filePath);
+});
+
+test('generate_report rejects invalid dates and future periods', async () => {
+  const invalid = await server.call('generate_report', { period: 'week', date: 'someday' });
+  assert.equal(invalid.isError, true);
+  assert.match(invalid.text, /Cannot understand date "someday"/);
+
+  const future = await server.call('generate_report', { period: 'day', date: 'tomorrow' });
+  assert.equal(future.isError, true);
+  assert.match(future.text, /has not started yet/);
+});
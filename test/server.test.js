@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { once } from 'events';
+import express from 'express';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { createSessionManager } from '../session-manager.js';
+import { startServer } from './helpers.js';
+import { USER_ID, API_TOKEN } from './fake-habitica.js';
+
+let server;
+
+const initializeRequest = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'habitica-mcp-test', version: '1.0.0' },
+  },
+};
+
+function postMcp(body, headers = {}) {
+  return fetch(server.mcpUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('/health reports the tool count', async () => {
+  const response = await fetch(`${server.baseUrl}/health`);
+  assert.equal(response.status, 200);
+  const health = await response.json();
+  assert.equal(health.status, 'ok');
+  assert.ok(health.tools > 0);
+});
+
+test('/mcp returns 401 without Habitica credentials', async () => {
+  const response = await postMcp(initializeRequest);
+  assert.equal(response.status, 401);
+});
+
+test('/mcp returns 404 for an unknown session', async () => {
+  const response = await postMcp({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+    'Mcp-Session-Id': 'missing-session',
+    'X-Habitica-User': USER_ID,
+    'X-Habitica-Token': API_TOKEN,
+  });
+  assert.equal(response.status, 404);
+  const body = await response.json();
+  assert.equal(body.error.message, 'Session not found');
+});
+
+test('sessions whose initialize request fails are closed', async () => {
+  let closed = 0;
+  const manager = createSessionManager({
+    createServer: () => {
+      const mcpServer = new McpServer({ name: 'habitica-mcp-test', version: '1.0.0' });
+      const close = mcpServer.close.bind(mcpServer);
+      mcpServer.close = async () => {
+        closed += 1;
+        await close();
+      };
+      return mcpServer;
+    },
+  });
+  const app = express();
+  app.use(express.json());
+  app.post('/mcp', manager.handlePost);
+  const httpServer = app.listen(0, '127.0.0.1');
+  await once(httpServer, 'listening');
+
+  try {
+    // 缺少 Accept: text/event-stream 時 transport 拒絕初始化
+    const response = await fetch(`http://127.0.0.1:${httpServer.address().port}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(initializeRequest),
+    });
+    assert.equal(response.status, 406);
+    assert.equal(manager.size, 0);
+    assert.equal(closed, 1);
+  } finally {
+    await manager.closeAll();
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+});
+
+test('unknown endpoints return 404', async () => {
+  const response = await fetch(`${server.baseUrl}/nope`, {
+    headers: { 'X-Habitica-User': USER_ID, 'X-Habitica-Token': API_TOKEN },
+  });
+  assert.equal(response.status, 404);
+});
+
+test('tool calls with invalid Habitica credentials surface the 401 from Habitica', async () => {
+  const intruder = await server.connect({ userId: USER_ID, apiToken: 'wrong-token' });
+  const result = await intruder.call('get_user_profile');
+  assert.equal(result.isError, true);
+  assert.match(result.text, /There is no account that uses those credentials/);
+});
+
+test('unknown tools are rejected', async () => {
+  await assert.rejects(server.call('no_such_tool'), /Unknown tool: no_such_tool/);
+});
+
+test('every tool is exercised by the test suite', async () => {
+  const { client } = await server.connect();
+  const { tools } = await client.listTools();
+
+  const files = (await fs.readdir(new URL('.', import.meta.url))).filter(file => file.endsWith('.test.js'));
+  const sources = await Promise.all(files.map(file => fs.readFile(new URL(file, import.meta.url), 'utf8')));
+  const calls = sources.join('\n');
+
+  const untested = tools.map(tool => tool.name).filter(name => !calls.includes(`call('${name}'`) && !calls.includes(`callConfirmed('${name}'`));
+  assert.deepEqual(untested, []);
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+import { USER_ID } from './fake-habitica.js';
+
+let server;
+let account;
+
+const readSnapshots = async (target = server) => {
+  const text = await fs.readFile(path.join(target.dataDir, 'snapshots', `${USER_ID}.jsonl`), 'utf8').catch(() => '');
+  return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+};
+
+before(async () => {
+  server = await startServer({ env: { SNAPSHOT_MIN_INTERVAL_MINUTES: '0' } });
+  account = server.fake.state.accounts.get(USER_ID);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('mutating tool calls record a snapshot, reads do not', async () => {
+  await server.call('get_stats');
+  await server.call('get_tasks');
+  assert.deepEqual(await readSnapshots(), []);
+
+  const habit = account.tasks.find(task => task.text === 'Drink water');
+  const scored = await server.call('score_task', { taskId: habit.id });
+  assert.equal(scored.isError, false, scored.text);
+
+  const [snapshot] = await readSnapshots();
+  assert.equal(snapshot.reason, 'score_task');
+  assert.equal(snapshot.stats.exp, account.user.stats.exp);
+  assert.equal(snapshot.stats.gp, account.user.stats.gp);
+  assert.deepEqual(snapshot.tasks.find(task => task.id === habit.id).counterUp, habit.counterUp);
+  assert.ok(snapshot.completedTodos.some(task => task.text === 'File taxes' && task.dateCompleted));
+});
+
+test('get_stat_history lists snapshots and the change over the range', async () => {
+  const todo = account.tasks.find(task => task.text === 'Write report');
+  await server.call('score_task', { taskId: todo.id });
+
+  const history = await server.call('get_stat_history');
+  assert.equal(history.isError, false, history.text);
+  assert.match(history.text, /Level 12 → 12 \| XP \+5 \| Gold \+2 \| HP 0 \| MP 0/);
+  assert.match(history.text, /Stat history \(1-2 of 2\)/);
+  assert.match(history.text, /Level 12 \| XP 110 \| Gold 104 \| HP 40 \| MP 30 \| score_task/);
+
+  const daily = await server.call('get_stat_history', { resolution: 'day', format: 'json', fields: ['exp', 'reason'] });
+  assert.match(daily.text, /Stat history \(1-1 of 1\)/);
+  assert.match(daily.text, /"exp": 110/);
+
+  const past = await server.call('get_stat_history', { from: '2020-01-01', to: '2020-01-31' });
+  assert.match(past.text, /No snapshots recorded in this range/);
+
+  const invalid = await server.call('get_stat_history', { from: 'tomorrow', to: 'yesterday' });
+  assert.equal(invalid.isError, true);
+  assert.match(invalid.text, /from must not be after to/);
+});
+
+test('reports keep completed todos that Habitica has pruned', async () => {
+  account.completedTodos = account.completedTodos.filter(task => task.text !== 'File taxes');
+
+  const report = await server.call('generate_report', { period: 'day' });
+  assert.equal(report.isError, false, report.text);
+  assert.match(report.text, /- Completed todos: 2/);
+  assert.match(report.text, /- File taxes \(/);
+  assert.match(report.text, /- Write report \(/);
+});
+
+test('mutation snapshots are throttled and session credentials are not scheduled by default', async () => {
+  const throttled = await startServer({ env: { SNAPSHOT_INTERVAL_MINUTES: '0.005' } });
+  try {
+    const habit = throttled.fake.state.accounts.get(USER_ID).tasks.find(task => task.text === 'Drink water');
+    await throttled.call('score_task', { taskId: habit.id });
+    await throttled.call('score_task', { taskId: habit.id });
+    await throttled.call('generate_report', { period: 'day' });
+    // 等待數個定時快照間隔
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.deepEqual((await readSnapshots(throttled)).map(snapshot => snapshot.reason), ['score_task']);
+  } finally {
+    await throttled.stop();
+  }
+});
+
+test('snapshots are recorded on a schedule for recently used credentials when enabled', async () => {
+  const scheduled = await startServer({ env: { SNAPSHOT_INTERVAL_MINUTES: '0.005', SNAPSHOT_SESSION_CREDENTIALS: 'true' } });
+  try {
+    await scheduled.call('get_stats');
+    let snapshots = [];
+    for (let attempt = 0; attempt < 50 && snapshots.length === 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      snapshots = await readSnapshots(scheduled);
+    }
+    assert.equal(snapshots[0]?.reason, 'schedule');
+  } finally {
+    await scheduled.stop();
+  }
+});
@@ -0,0 +1,209 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+import { USER_ID, OTHER_USER_ID, OTHER_API_TOKEN } from './fake-habitica.js';
+
+let server;
+let state;
+
+before(async () => {
+  server = await startServer();
+  state = server.fake.state;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('party tools show the party, members and chat', async () => {
+  const party = await server.call('get_party');
+  assert.equal(party.isError, false, party.text);
+  assert.match(party.text, /Heroes/);
+
+  const members = await server.call('get_party_members');
+  assert.equal(members.isError, false, members.text);
+  assert.match(members.text, /Alice/);
+  assert.match(members.text, /Bob/);
+
+  const table = await server.call('get_party_members', { format: 'table', fields: ['name', 'level'] });
+  assert.equal(table.isError, false, table.text);
+  assert.match(table.text, /\| name \| level \|/);
+  assert.match(table.text, /\| Alice \| \d+ \|/);
+
+  const sent = await server.call('send_party_message', { message: 'Ready!' });
+  assert.equal(sent.isError, false, sent.text);
+  assert.match(sent.text, /Ready!/);
+
+  const chat = await server.call('get_party_chat');
+  assert.equal(chat.isError, false, chat.text);
+  // 聊天消息最新在前，翻页即查看更早的消息
+  assert.match(chat.text, /Ready![\s\S]*Hello party/);
+
+  const newest = await server.call('get_party_chat', { limit: 1 });
+  assert.match(newest.text, /Ready!/);
+  assert.doesNotMatch(newest.text, /Hello party/);
+  assert.match(newest.text, /cursor="1"/);
+  const older = await server.call('get_party_chat', { limit: 1, cursor: '1' });
+  assert.match(older.text, /Hello party/);
+});
+
+test('quest tools follow the quest lifecycle', async () => {
+  const none = await server.call('get_party_quest');
+  assert.equal(none.isError, false, none.text);
+
+  const invited = await server.call('invite_quest', { questKey: 'dilatory' });
+  assert.equal(invited.isError, false, invited.text);
+  assert.equal(state.party.quest.key, 'dilatory');
+
+  const accepted = await server.call('accept_quest');
+  assert.equal(accepted.isError, false, accepted.text);
+
+  const rejected = await server.call('reject_quest');
+  assert.equal(rejected.isError, false, rejected.text);
+  assert.equal(state.party.quest.members[USER_ID], false);
+
+  const cancelled = await server.call('cancel_quest');
+  assert.equal(cancelled.isError, false, cancelled.text);
+  assert.equal(state.party.quest.key, undefined);
+
+  await server.call('invite_quest', { questKey: 'dilatory' });
+  const started = await server.call('force_start_quest');
+  assert.equal(started.isError, false, started.text);
+  assert.equal(state.party.quest.active, true);
+
+  const progress = await server.call('get_party_quest');
+  assert.match(progress.text, /Dilatory/);
+
+  const ownerLeave = await server.call('leave_quest');
+  assert.equal(ownerLeave.isError, true);
+  assert.match(ownerLeave.text, /Quest owner cannot leave quest/);
+
+  // 進行中的副本需以 abort 取消
+  const aborted = await server.call('cancel_quest');
+  assert.equal(aborted.isError, false, aborted.text);
+  assert.equal(state.party.quest.key, undefined);
+});
+
+test('guild tools list, join, chat and leave', async () => {
+  const publicGuilds = await server.call('list_guilds', { type: 'publicGuilds' });
+  assert.equal(publicGuilds.isError, false, publicGuilds.text);
+  assert.match(publicGuilds.text, /Coders/);
+  assert.match(publicGuilds.text, /Writers/);
+
+  const guild = await server.call('get_guild', { groupId: 'guild-2' });
+  assert.equal(guild.isError, false, guild.text);
+  assert.match(guild.text, /Writers/);
+
+  const joined = await server.call('join_guild', { groupId: 'guild-2' });
+  assert.equal(joined.isError, false, joined.text);
+  assert.ok(state.guilds[1].members.includes(USER_ID));
+
+  const posted = await server.call('post_guild_message', { groupId: 'guild-2', message: 'Hi writers' });
+  assert.equal(posted.isError, false, posted.text);
+
+  const chat = await server.call('get_guild_chat', { groupId: 'guild-2' });
+  assert.match(chat.text, /Hi writers/);
+
+  const left = await server.call('leave_guild', { groupId: 'guild-2' });
+  assert.equal(left.isError, false, left.text);
+  assert.ok(!state.guilds[1].members.includes(USER_ID));
+
+  const missing = await server.call('get_guild', { groupId: 'guild-404' });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Group not found/);
+});
+
+test('challenge tools manage challenges and their tasks', async () => {
+  const listed = await server.call('list_challenges', { scope: 'all' });
+  assert.equal(listed.isError, false, listed.text);
+  assert.match(listed.text, /30 Days Fit/);
+  assert.match(listed.text, /Read More/);
+
+  const names = await server.call('list_challenges', { scope: 'all', format: 'json', fields: ['name'] });
+  assert.equal(names.isError, false, names.text);
+  assert.match(names.text, /"name": "30 Days Fit"/);
+  assert.doesNotMatch(names.text, /"prize"/);
+
+  const joined = await server.call('join_challenge', { challengeId: 'challenge-2' });
+  assert.equal(joined.isError, false, joined.text);
+  const account = state.accounts.get(USER_ID);
+  assert.ok(account.tasks.some(task => task.challenge?.id === 'challenge-2'));
+
+  const tasks = await server.call('get_challenge_tasks', { challengeId: 'challenge-2' });
+  assert.match(tasks.text, /Finish a book/);
+
+  const progress = await server.call('get_challenge_progress', { challengeId: 'challenge-2' });
+  assert.equal(progress.isError, false, progress.text);
+  assert.match(progress.text, /Read More/);
+
+  const left = await server.call('leave_challenge', { challengeId: 'challenge-2', keepTasks: false });
+  assert.equal(left.isError, false, left.text);
+  assert.ok(!account.tasks.some(task => task.challenge?.id === 'challenge-2'));
+
+  const needsConfirm = await server.call('create_challenge', { groupId: 'guild-1', name: 'Prize run', prize: 4 });
+  assert.equal(needsConfirm.isError, false, needsConfirm.text);
+  assert.match(needsConfirm.text, /Create challenge "Prize run" with a prize: costs 4 gems \(current balance: 20\)/);
+  assert.ok(!state.challenges.some(item => item.name === 'Prize run'));
+  const prized = await server.callConfirmed('create_challenge', { groupId: 'guild-1', name: 'Prize run', prize: 4 });
+  assert.equal(prized.isError, false, prized.text);
+  assert.ok(state.challenges.some(item => item.name === 'Prize run'));
+
+  const created = await server.call('create_challenge', { groupId: 'guild-1', name: 'Step up', summary: 'Walk more' });
+  assert.equal(created.isError, false, created.text);
+  const challenge = state.challenges.find(item => item.name === 'Step up');
+  assert.ok(challenge);
+
+  const updated = await server.call('update_challenge', { challengeId: challenge._id, summary: 'Walk even more' });
+  assert.equal(updated.isError, false, updated.text);
+  assert.equal(challenge.summary, 'Walk even more');
+
+  const added = await server.call('add_challenge_task', { challengeId: challenge._id, type: 'habit', text: '10k steps' });
+  assert.equal(added.isError, false, added.text);
+  assert.equal(challenge.tasks[0].text, '10k steps');
+
+  const csv = await server.call('export_challenge_csv', { challengeId: challenge._id });
+  assert.equal(csv.isError, false, csv.text);
+  assert.match(csv.text, new RegExp(USER_ID));
+
+  const winner = await server.call('select_challenge_winner', { challengeId: challenge._id, winnerId: USER_ID });
+  assert.equal(winner.isError, false, winner.text);
+  assert.ok(!state.challenges.includes(challenge));
+
+  const notLeader = await server.call('update_challenge', { challengeId: 'challenge-2', name: 'Mine now' });
+  assert.equal(notLeader.isError, true);
+  assert.match(notLeader.text, /Only the challenge leader/);
+});
+
+test('inbox tools read, send, delete and mark messages', async () => {
+  const inbox = await server.call('get_inbox');
+  assert.equal(inbox.isError, false, inbox.text);
+  assert.match(inbox.text, /Ready for the quest\?/);
+
+  const conversations = await server.call('get_inbox', { format: 'table' });
+  assert.equal(conversations.isError, false, conversations.text);
+  assert.match(conversations.text, /Unread messages: \d+/);
+  assert.match(conversations.text, /\| partnerId \| name \| username \| messageCount \|/);
+
+  const sent = await server.call('send_private_message', { toUserId: OTHER_USER_ID, message: 'See you there' });
+  assert.equal(sent.isError, false, sent.text);
+
+  // 收件人以自己的憑證讀取收件匣
+  const bob = await server.connect({ userId: OTHER_USER_ID, apiToken: OTHER_API_TOKEN });
+  const received = await bob.call('get_inbox', { unreadOnly: true });
+  assert.match(received.text, /See you there/);
+  assert.match(received.text, /unread filter is approximate/);
+
+  const account = state.accounts.get(USER_ID);
+  const [message] = account.inbox;
+  const deleted = await server.call('delete_private_message', { messageId: message.id });
+  assert.equal(deleted.isError, false, deleted.text);
+  assert.ok(!account.inbox.includes(message));
+
+  const marked = await server.call('mark_inbox_read');
+  assert.equal(marked.isError, false, marked.text);
+  assert.equal(account.user.inbox.newMessages, 0);
+
+  const unknownRecipient = await server.call('send_private_message', { toUserId: 'user-404', message: 'Hello?' });
+  assert.equal(unknownRecipient.isError, true);
+  assert.match(unknownRecipient.text, /User not found/);
+});
@@ -0,0 +1,214 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+import { USER_ID, OTHER_USER_ID, OTHER_API_TOKEN } from './fake-habitica.js';
+
+let server;
+let account;
+
+const findTask = text => [...account.tasks, ...account.completedTodos].find(task => task.text === text);
+
+before(async () => {
+  server = await startServer();
+  account = server.fake.state.accounts.get(USER_ID);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('get_tasks lists tasks and filters by type', async () => {
+  const all = await server.call('get_tasks');
+  assert.equal(all.isError, false, all.text);
+  assert.match(all.text, /Tasks \(1-4 of 4\)/);
+  assert.match(all.text, /Drink water/);
+  assert.match(all.text, /Write report/);
+
+  const todos = await server.call('get_tasks', { type: 'todos', format: 'json', fields: ['text', 'type'] });
+  assert.deepEqual(JSON.parse(todos.text.split('\n').slice(1).join('\n')), [{ text: 'Write report', type: 'todo' }]);
+});
+
+test('get_tasks paginates with limit and cursor', async () => {
+  const first = await server.call('get_tasks', { limit: 2 });
+  assert.match(first.text, /Tasks \(1-2 of 4\)/);
+  assert.match(first.text, /cursor="2"/);
+
+  const second = await server.call('get_tasks', { limit: 2, cursor: '2' });
+  assert.match(second.text, /Tasks \(3-4 of 4\)/);
+  assert.doesNotMatch(second.text, /cursor=/);
+});
+
+test('search_tasks filters by text, tag and status', async () => {
+  const byText = await server.call('search_tasks', { text: 'report' });
+  assert.match(byText.text, /Write report/);
+  assert.doesNotMatch(byText.text, /Drink water/);
+
+  const byTag = await server.call('search_tasks', { tags: ['Health'] });
+  assert.match(byTag.text, /Drink water/);
+  assert.match(byTag.text, /Morning run/);
+  assert.doesNotMatch(byTag.text, /Write report/);
+
+  const unknownTag = await server.call('search_tasks', { tags: ['Nope'] });
+  assert.equal(unknownTag.isError, true);
+});
+
+test('create_task, update_task and delete_task round-trip', async () => {
+  const created = await server.call('create_task', {
+    type: 'todo',
+    text: 'Plan trip',
+    notes: 'Book flights',
+    difficulty: 2,
+    tags: ['Travel'],
+    createMissingTags: true,
+  });
+  assert.equal(created.isError, false, created.text);
+  const task = findTask('Plan trip');
+  assert.ok(task);
+  assert.equal(task.priority, 2);
+  const travel = account.tags.find(tag => tag.name === 'Travel');
+  assert.deepEqual(task.tags, [travel.id]);
+
+  const updated = await server.call('update_task', { taskId: task.id, text: 'Plan summer trip' });
+  assert.equal(updated.isError, false, updated.text);
+  assert.match(updated.text, /Plan summer trip/);
+
+  const deleted = await server.callConfirmed('delete_task', { taskId: task.id });
+  assert.equal(deleted.isError, false, deleted.text);
+  assert.equal(findTask('Plan summer trip'), undefined);
+});
+
+test('create_task describes daily schedules and rejects invalid input', async () => {
+  const created = await server.call('create_task', {
+    type: 'daily',
+    text: 'Gym',
+    frequency: 'weekly',
+    repeat: ['mon', 'wed', 'fri'],
+  });
+  assert.equal(created.isError, false, created.text);
+  assert.match(created.text, /Schedule/);
+
+  const invalid = await server.call('create_task', { type: 'todo', text: 'Bad', frequency: 'daily' });
+  assert.equal(invalid.isError, true);
+});
+
+test('due dates use the user timezone', async () => {
+  // Bob 位於 UTC+10，當地日期比 UTC 早一天的情況也要正確
+  const bobAccount = server.fake.state.accounts.get(OTHER_USER_ID);
+  bobAccount.user.preferences = { dayStart: 0, timezoneOffset: -600 };
+  const bob = await server.connect({ userId: OTHER_USER_ID, apiToken: OTHER_API_TOKEN });
+  const formatDay = day => new Date(day).toISOString().slice(0, 10);
+
+  const zoned = await bob.call('create_task', { type: 'todo', text: 'Late call', date: '2024-05-03T20:00:00Z' });
+  assert.equal(zoned.isError, false, zoned.text);
+  assert.match(zoned.text, /Due: 2024-05-04/);
+
+  // 當天的 "this <weekday>" 即為今天，"next <weekday>" 為下週
+  const localNow = Date.now() + 10 * 60 * 60 * 1000;
+  const today = Math.floor(localNow / (24 * 60 * 60 * 1000)) * 24 * 60 * 60 * 1000;
+  const weekday = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][new Date(localNow).getUTCDay()];
+  const thisWeekday = await bob.call('create_task', { type: 'todo', text: 'Same day', date: `this ${weekday}` });
+  assert.match(thisWeekday.text, new RegExp(`Due: ${formatDay(today)}`));
+  const nextWeekday = await bob.call('create_task', { type: 'todo', text: 'Next week', date: `next ${weekday}` });
+  assert.match(nextWeekday.text, new RegExp(`Due: ${formatDay(today + 7 * 24 * 60 * 60 * 1000)}`));
+});
+
+test('score_task moves a todo to completed and returns 404 for unknown tasks', async () => {
+  const created = await server.call('create_task', { type: 'todo', text: 'Score me' });
+  assert.equal(created.isError, false, created.text);
+  const task = findTask('Score me');
+
+  const scored = await server.call('score_task', { taskId: task.id });
+  assert.equal(scored.isError, false, scored.text);
+  assert.ok(account.completedTodos.includes(task));
+
+  const missing = await server.call('score_task', { taskId: 'missing-task' });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Task not found/);
+});
+
+test('batch tools report per-item results', async () => {
+  const created = await server.call('batch_create_tasks', {
+    tasks: [
+      { type: 'todo', text: 'Batch one' },
+      { type: 'habit', text: 'Batch two' },
+      { type: 'todo' },
+    ],
+  });
+  assert.equal(created.isError, false, created.text);
+  assert.match(created.text, /2 succeeded, 1 failed/);
+
+  const one = findTask('Batch one');
+  const two = findTask('Batch two');
+
+  const updated = await server.call('batch_update_tasks', {
+    updates: [
+      { taskId: one.id, notes: 'first' },
+      { taskId: 'missing-task', notes: 'nope' },
+    ],
+  });
+  assert.match(updated.text, /1 succeeded, 1 failed/);
+  assert.equal(one.notes, 'first');
+
+  const scored = await server.call('batch_score_tasks', {
+    items: [{ taskId: one.id }, { taskId: two.id, direction: 'down' }],
+  });
+  assert.match(scored.text, /2 succeeded, 0 failed/);
+  assert.equal(two.counterDown, 1);
+
+  const deleted = await server.callConfirmed('batch_delete_tasks', { taskIds: [one.id, two.id] });
+  assert.match(deleted.text, /2 succeeded, 0 failed/);
+  assert.equal(findTask('Batch one'), undefined);
+
+  const allFailed = await server.callConfirmed('batch_delete_tasks', { taskIds: ['missing-task'] });
+  assert.equal(allFailed.isError, true);
+});
+
+test('checklist tools manage checklist items', async () => {
+  const task = findTask('Write report');
+
+  const listed = await server.call('get_task_checklist', { taskId: task.id });
+  assert.match(listed.text, /Checklist items \(2\)/);
+
+  const added = await server.call('add_checklist_item', { taskId: task.id, text: 'Proofread' });
+  assert.equal(added.isError, false, added.text);
+  const item = task.checklist.find(entry => entry.text === 'Proofread');
+  assert.match(added.text, new RegExp(`Proofread \\(ID: ${item.id}\\)`));
+
+  const updated = await server.call('update_checklist_item', { taskId: task.id, itemId: item.id, text: 'Proofread twice' });
+  assert.match(updated.text, /Proofread twice/);
+
+  const scored = await server.call('score_checklist_item', { taskId: task.id, itemId: item.id });
+  assert.match(scored.text, /completed: true/);
+
+  const deleted = await server.call('delete_checklist_item', { taskId: task.id, itemId: item.id });
+  assert.equal(deleted.isError, false, deleted.text);
+  assert.equal(task.checklist.length, 2);
+
+  const missing = await server.call('update_checklist_item', { taskId: task.id, itemId: 'missing-item', text: 'x' });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Checklist item not found/);
+});
+
+test('tag tools create tags and tag tasks by name', async () => {
+  const tags = await server.call('get_tags');
+  assert.match(tags.text, /Work/);
+  assert.match(tags.text, /Health/);
+
+  const created = await server.call('create_tag', { name: 'Errands' });
+  assert.equal(created.isError, false, created.text);
+  const errands = account.tags.find(tag => tag.name === 'Errands');
+  assert.ok(errands);
+
+  const task = findTask('Drink water');
+  const added = await server.call('add_tag_to_task', { taskId: task.id, tag: 'Errands' });
+  assert.equal(added.isError, false, added.text);
+  assert.ok(task.tags.includes(errands.id));
+
+  const removed = await server.call('remove_tag_from_task', { taskId: task.id, tag: errands.id });
+  assert.equal(removed.isError, false, removed.text);
+  assert.ok(!task.tags.includes(errands.id));
+
+  const missing = await server.call('add_tag_to_task', { taskId: 'missing-task', tag: 'Errands' });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Task not found/);
+});
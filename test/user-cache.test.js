@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+import { USER_ID } from './fake-habitica.js';
+
+let server;
+let account;
+
+const userRequests = () => server.fake.requests.filter(request => request.method === 'GET' && request.path === '/user');
+
+before(async () => {
+  server = await startServer();
+  account = server.fake.state.accounts.get(USER_ID);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('read tools request only the user fields they need', async () => {
+  const before = userRequests().length;
+  const stats = await server.call('get_stats');
+  assert.equal(stats.isError, false, stats.text);
+
+  const requests = userRequests().slice(before);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].query.userFields, 'stats');
+});
+
+test('repeated reads are served from the cache', async () => {
+  const before = userRequests().length;
+  await server.call('get_stats');
+  await server.call('get_stats');
+  assert.equal(userRequests().length, before);
+
+  // items 已涵蓋 items.pets 與 items.mounts
+  await server.call('get_inventory');
+  await server.call('get_pets');
+  await server.call('get_mounts');
+  assert.equal(userRequests().length, before + 1);
+});
+
+test('mutating tools invalidate the cache', async () => {
+  await server.call('get_pets');
+  const fed = await server.call('feed_pet', { pet: 'Fox-Red', food: 'Meat' });
+  assert.equal(fed.isError, false, fed.text);
+
+  // 餵食後的快照只讀取 stats，寵物資料需重新請求
+  const before = userRequests().length;
+
+  const pets = await server.call('get_pets', { format: 'json', fields: ['key', 'progress'] });
+  assert.equal(userRequests().length, before + 1);
+  assert.match(pets.text, new RegExp(`"progress": ${account.user.items.pets['Fox-Red']}`));
+
+  const stats = await server.call('get_stats');
+  const gp = JSON.parse(stats.text).gp;
+  const habit = account.tasks.find(task => task.text === 'Drink water');
+  await server.call('score_task', { taskId: habit.id });
+  const after = await server.call('get_stats');
+  assert.equal(JSON.parse(after.text).gp, gp + 2);
+});
+
+test('cached data is not shared with other credentials', async () => {
+  await server.call('get_stats');
+
+  const intruder = await server.connect({ userId: USER_ID, apiToken: 'wrong-token' });
+  const result = await intruder.call('get_stats');
+  assert.equal(result.isError, true);
+  assert.match(result.text, /There is no account that uses those credentials/);
+});
@@ -0,0 +1,153 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+import { USER_ID } from './fake-habitica.js';
+
+let server;
+let account;
+
+before(async () => {
+  server = await startServer();
+  account = server.fake.state.accounts.get(USER_ID);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('get_user_profile renders summary, table and selected fields', async () => {
+  const summary = await server.call('get_user_profile');
+  assert.equal(summary.isError, false, summary.text);
+  assert.match(summary.text, /name: Alice/);
+  assert.match(summary.text, /class: warrior/);
+
+  const table = await server.call('get_user_profile', { format: 'table', fields: ['name', 'level'] });
+  assert.match(table.text, /\| field \| value \|/);
+  assert.match(table.text, /\| level \| 12 \|/);
+
+  const unknown = await server.call('get_user_profile', { fields: ['nope'] });
+  assert.equal(unknown.isError, true);
+  assert.match(unknown.text, /Unknown fields: nope/);
+});
+
+test('get_stats returns raw stats', async () => {
+  const stats = await server.call('get_stats');
+  assert.equal(stats.isError, false, stats.text);
+  assert.equal(JSON.parse(stats.text).lvl, 12);
+});
+
+test('get_inventory lists owned items by category', async () => {
+  const all = await server.call('get_inventory');
+  assert.equal(all.isError, false, all.text);
+  assert.match(all.text, /Wolf/);
+  assert.match(all.text, /Meat/);
+  assert.doesNotMatch(all.text, /Red/);
+
+  const food = await server.call('get_inventory', { category: 'food' });
+  assert.match(food.text, /Meat/);
+  assert.doesNotMatch(food.text, /Wolf/);
+});
+
+test('buy_reward and buy_item spend gold', async () => {
+  account.user.stats.gp = 100;
+
+  const reward = await server.callConfirmed('buy_reward', { key: 'weapon_warrior_1' });
+  assert.equal(reward.isError, false, reward.text);
+  assert.equal(account.user.stats.gp, 80);
+  assert.ok(account.user.items.gear.owned.weapon_warrior_1);
+
+  const potions = await server.callConfirmed('buy_item', { itemKey: 'potion', quantity: 2 });
+  assert.equal(potions.isError, false, potions.text);
+  assert.equal(account.user.stats.gp, 30);
+
+  const broke = await server.callConfirmed('buy_item', { itemKey: 'armoire' });
+  assert.equal(broke.isError, true);
+  assert.match(broke.text, /Not enough Gold/);
+});
+
+test('scoring a reward needs confirmation, other tasks score directly', async () => {
+  account.user.stats.gp = 100;
+  const reward = account.tasks.find(task => task.text === 'Watch a movie');
+
+  const preview = await server.call('score_task', { taskId: reward.id });
+  assert.match(preview.text, /Preview only/);
+  assert.match(preview.text, /Buy reward "Watch a movie": costs 10 gold/);
+  assert.equal(account.user.stats.gp, 100);
+
+  const bought = await server.callConfirmed('score_task', { taskId: reward.id });
+  assert.equal(bought.isError, false, bought.text);
+  assert.equal(account.user.stats.gp, 90);
+
+  const batch = await server.call('batch_score_tasks', { items: [{ taskId: reward.id }] });
+  assert.match(batch.text, /Buy reward "Watch a movie"/);
+  assert.equal(account.user.stats.gp, 90);
+
+  const habit = account.tasks.find(task => task.text === 'Drink water');
+  const scored = await server.call('score_task', { taskId: habit.id });
+  assert.doesNotMatch(scored.text, /Preview only/);
+});
+
+test('cast_spell spends mana', async () => {
+  const mp = account.user.stats.mp;
+  const cast = await server.callConfirmed('cast_spell', { spellId: 'defensiveStance' });
+  assert.equal(cast.isError, false, cast.text);
+  assert.equal(account.user.stats.mp, mp - 25);
+
+  const unknown = await server.callConfirmed('cast_spell', { spellId: 'fireball' });
+  assert.equal(unknown.isError, true);
+  assert.match(unknown.text, /Skill not found/);
+});
+
+test('pet and mount tools', async () => {
+  const pets = await server.call('get_pets');
+  assert.equal(pets.isError, false, pets.text);
+  assert.match(pets.text, /Fox/);
+
+  const fed = await server.call('feed_pet', { pet: 'Fox-Red', food: 'Meat' });
+  assert.equal(fed.isError, false, fed.text);
+  assert.equal(account.user.items.pets['Fox-Red'], 10);
+  assert.equal(account.user.items.food.Meat, 2);
+
+  const hatched = await server.callConfirmed('hatch_pet', { egg: 'Wolf', hatchingPotion: 'Base' });
+  assert.equal(hatched.isError, false, hatched.text);
+  assert.equal(account.user.items.pets['Wolf-Base'], 5);
+
+  const noPotion = await server.callConfirmed('hatch_pet', { egg: 'Wolf', hatchingPotion: 'Red' });
+  assert.equal(noPotion.isError, true);
+
+  const mounts = await server.call('get_mounts');
+  assert.equal(mounts.isError, false, mounts.text);
+  assert.match(mounts.text, /Fox/);
+
+  const equipped = await server.call('equip_item', { type: 'mount', key: 'Fox-Base' });
+  assert.equal(equipped.isError, false, equipped.text);
+  assert.equal(account.user.items.currentMount, 'Fox-Base');
+
+  const notOwned = await server.call('equip_item', { type: 'pet', key: 'Dragon-Golden' });
+  assert.equal(notOwned.isError, true);
+});
+
+test('notification tools list and mark notifications as read', async () => {
+  const listed = await server.call('get_notifications');
+  assert.equal(listed.isError, false, listed.text);
+  assert.match(listed.text, /NEW_CHAT_MESSAGE/);
+
+  const [notification] = account.notifications;
+  const read = await server.call('read_notification', { notificationId: notification.id });
+  assert.equal(read.isError, false, read.text);
+  assert.equal(account.notifications.length, 0);
+
+  const missing = await server.call('read_notification', { notificationId: notification.id });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Notification not found/);
+});
+
+test('get_shop flattens shop categories', async () => {
+  const market = await server.call('get_shop');
+  assert.equal(market.isError, false, market.text);
+  assert.match(market.text, /Wolf/);
+  assert.match(market.text, /Health Potion/);
+
+  const quests = await server.call('get_shop', { shopType: 'questShop', format: 'json', fields: ['key'] });
+  assert.match(quests.text, /"key": "atom1"/);
+});
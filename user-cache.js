@@ -0,0 +1,80 @@
+// /user 文件快取：依憑證分區、短暫保存，並在該憑證發出任何修改請求後失效
+import crypto from 'crypto';
+
+// 預設快取時間：30 秒
+const DEFAULT_TTL = 30 * 1000;
+
+// 已快取的欄位是否涵蓋所需欄位，例如 items 涵蓋 items.pets；fields 未指定表示完整文件
+function covers(cachedFields, fields) {
+  if (!cachedFields) return true;
+  if (!fields) return false;
+  return fields.every(field => cachedFields.some(cached => field === cached || field.startsWith(`${cached}.`)));
+}
+
+// 以雜湊後的憑證作為分區鍵，錯誤的 token 不會讀到其他會話快取的資料
+export function getCredentialKey(userId, apiToken) {
+  return crypto.createHash('sha256').update(`${userId}:${apiToken}`).digest('hex');
+}
+
+// 創建 /user 快取
+export function createUserCache({ ttl = DEFAULT_TTL } = {}) {
+  // 憑證鍵 -> [{ fields, expiresAt, promise }]
+  const entries = new Map();
+
+  function prune(key, now) {
+    const live = (entries.get(key) || []).filter(entry => entry.expiresAt > now);
+    if (live.length > 0) {
+      entries.set(key, live);
+    } else {
+      entries.delete(key);
+    }
+    return live;
+  }
+
+  // 取得 /user 文件，fields 為需要的路徑（如 ['stats', 'items.pets']），fetcher(fields) 負責實際請求
+  // 進行中的請求也會被共用，並發讀取只發出一次請求
+  function get(key, fields, fetcher) {
+    if (ttl <= 0) {
+      return fetcher(fields);
+    }
+
+    const now = Date.now();
+    const cached = prune(key, now).find(entry => covers(entry.fields, fields));
+    if (cached) {
+      return cached.promise;
+    }
+
+    const entry = { fields, expiresAt: now + ttl };
+    entry.promise = fetcher(fields).catch((error) => {
+      // 失敗的請求不保留
+      const remaining = (entries.get(key) || []).filter(item => item !== entry);
+      if (remaining.length > 0) {
+        entries.set(key, remaining);
+      } else {
+        entries.delete(key);
+      }
+      throw error;
+    });
+    entries.set(key, [...(entries.get(key) || []), entry]);
+    return entry.promise;
+  }
+
+  function invalidate(key) {
+    entries.delete(key);
+  }
+
+  // 定期清除過期項目
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    [...entries.keys()].forEach(key => prune(key, now));
+  }, Math.max(ttl, 60 * 1000));
+  cleanupTimer.unref();
+
+  return {
+    get,
+    invalidate,
+    get size() {
+      return entries.size;
+    },
+  };
+}